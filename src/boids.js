@@ -2,6 +2,16 @@
 import * as THREE from "three";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
 import * as BufferGeometryUtils from "three/addons/utils/BufferGeometryUtils.js";
+import { getRandomStream } from "./random.js";
+import { createDefaultGenome } from "./genome.js";
+import {
+  RD_SKIN_SIZE,
+  RD_FAMILY_PARAMS,
+  rdParamsFromGenome,
+  rdSkinKey,
+  getCachedSkin,
+  createGenomeSkinJob,
+} from "./reaction-diffusion.js";
 
 // 보이드들이 움직이는 월드 반경 (x,z에서 -R ~ +R)
 // terrainSize.width/depth가 200으로 설정되어 있으므로 여기서는 100으로 맞춘다.
@@ -21,39 +31,73 @@ export const slimeParams = {
   SENSOR_ANGLE: Math.PI / 4,     // 45도, 미로면 더 좁게, 탐험형이면 더 넓게 (라디안)
 };
 
+// 에너지 생태 모드 (세대 타이머 대신 개체 단위 죽음/번식, main.js updateEcology)
+// - 에너지는 기본 대사 + 속도 + showOff로 줄고, 활성 영양원 근처에서 채워진다.
+export const ecologyParams = {
+  enabled: false,
+  maxEnergy: 100,
+  startEnergy: 60,
+  // 소모/회복 비율: 영양원(식물 15개) 근처에 머무는 시간은 전체의 몇 % 수준이라
+  // 회복을 크게, 소모를 작게 잡아야 굶주림과 번식이 균형을 이룬다. (너무 세면 시조만 계속 정착)
+  baseDrain: 0.5,          // 초당 기본 소모
+  speedDrain: 1.0,         // 최대 속도로 달릴 때 추가 소모 (초당)
+  showOffDrain: 0.8,       // showOff 1.0당 추가 소모 (초당)
+  feedRate: 40.0,          // 영양원 근처에서 초당 회복
+  reproduceThreshold: 80,  // 이 이상이면 빈 슬롯에 자식을 낳는다
+  birthCost: 40,           // 번식 시 부모가 잃고 자식이 받는 에너지
+};
+
+// 포식자 (boid보다 크고 적은 수, 가장 가까운 boid를 쫓아 잡아먹는다)
+// - 잡힌 boid는 실제로 죽는다: 세대 모드에서는 도태 슬롯으로, 생태 모드에서는 죽음으로 집계
+// - 주변 boid는 겁을 먹고 달아나며 서로 흩어진다. (fearRadius 안에서 도망 + 분리 강화)
+// - 무늬가 촘촘한(스킨 coverage가 높은) boid는 camouflage만큼 늦게 발견된다.
+export const PREDATOR_MAX = 8;
+export const predatorParams = {
+  enabled: false,
+  count: 3,                // 활성 포식자 수 (최대 PREDATOR_MAX)
+  maxSpeed: 11.0,          // boid maxSpeed × baseSpeed 1.1 정도 → 빠른 개체만 따돌린다
+  maxForce: 6.0,           // 회전력이 boid 도망(fearWeight × maxForce)보다 약해서 급선회로 피할 수 있다
+  huntRadius: 45,          // 이 거리 안의 가장 가까운 boid를 쫓는다 (camouflage로 줄어듦)
+  catchRadius: 2.0,
+  digestTime: 4.0,         // 한 마리 잡은 뒤 쉬는 시간(초)
+  fearRadius: 16,          // boid가 포식자를 알아채는 거리
+  fearWeight: 3.0,         // 도망 steering 가중치
+  camouflage: 0.6,         // 스킨 무늬에 따른 발견 거리 감소 최대 비율 (0~1)
+  scale: 2.5,
+};
+
 const TRAIL_GRID_SIZE = 128;             // trail 해상도 (128x128)
 const TRAIL_CELL_SIZE = (BOUND_RADIUS * 2) / TRAIL_GRID_SIZE;
 
 const W_NUTRIENT = 1.0;                  // 영양원 attraction 가중치
 
-let trailGrid = new Float32Array(TRAIL_GRID_SIZE * TRAIL_GRID_SIZE);
-
-// RD 패턴 텍스처 경로 (GA 설계 기반)
-const RD_TEXTURE_PATHS = [
-  "./assets/textures/rd_pattern.png", // 0
-  "./assets/textures/rd_pattern2.png", // 1
-  "./assets/textures/rd_pattern3.png", // 2
-  "./assets/textures/rd_pattern4.png", // 3
-  "./assets/textures/rd_pattern5.png", // 4
-];
+// 스폰 위치 / 진행 방향 / 프레임 지터용 시드 스트림
+const _rng = getRandomStream("boids");
 
-// 텍스처 로드 (InstancedMesh 제약으로 현재는 "공통 RD 패턴 + 색/동작" 차별화에 사용)
-const _rdTextures = [];
-const _texLoader = new THREE.TextureLoader();
-for (const path of RD_TEXTURE_PATHS) {
-  const tex = _texLoader.load(
-    path,
-    () => {
-      tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
-      tex.needsUpdate = true;
-    },
-    undefined,
-    () => {
-      console.warn(`[Boids] RD texture load failed: ${path}`);
-    }
-  );
-  _rdTextures.push(tex);
-}
+let trailGrid = new Float32Array(TRAIL_GRID_SIZE * TRAIL_GRID_SIZE);
+// 칸마다 마지막으로 trail을 남긴 개체 (-1 = 없음) → 다른 개체가 따라가면 그 개체의 trail 점수
+const trailOwner = new Int32Array(TRAIL_GRID_SIZE * TRAIL_GRID_SIZE).fill(-1);
+
+// 개체별 Gray-Scott 스킨 (reaction-diffusion.js가 genome에서 생성)
+// - DataArrayTexture 레이어는 스킨(파라미터 키)마다 하나, 셰이더가 instanceSkin(레이어 번호)으로 고른다.
+// - 레이어 0~4는 계열(A~E) 기본 스킨: 개체 스킨이 생성되는 동안, 또는 레이어가 모자랄 때 대신 보인다.
+// - 나머지 레이어는 같은 스킨을 쓰는 개체끼리 공유하고, 아무도 안 쓰게 되면 오래 쉰 것부터 재사용한다.
+// - three r160은 레이어 단위 업로드가 없어서 바뀌면 배열 전체가 다시 올라간다 → 레이어 수는 계열 + boid 수까지만.
+// - 생성 전 레이어는 흰색 → 무늬 없이 개체 색만 보인다.
+const RD_REPEAT = 2; // 몸 표면에서 무늬 반복 횟수 (스킨 경계가 감싸기라 이음매 없음)
+const SKIN_BUDGET_MS = 6; // 프레임당 스킨 생성에 쓸 시간 (캐시에 없는 스킨은 한 장에 ~110ms → 여러 프레임에 나눠 진행)
+const SKIN_STEP_SLICE = 25; // 예산 확인 사이에 진행할 Gray-Scott 스텝 수 (64×64에서 ~3ms)
+const SKIN_LAYER_LIMIT = 256; // WebGL2가 보장하는 MAX_ARRAY_TEXTURE_LAYERS 최소값
+const SKIN_LAYER_BYTES = RD_SKIN_SIZE * RD_SKIN_SIZE * 4;
+let _rdArray = null;
+let _skinJob = null; // 진행 중인 스킨 생성 작업 (createGenomeSkinJob)
+let _familySkinsReady = 0; // 채워진 계열 기본 레이어 수
+const _skinLayers = new Map(); // 스킨 키 → { layer, users, metrics } (users 0 = 쉬는 레이어, 쉬기 시작한 순서)
+const _freeSkinLayers = []; // 아직 한 번도 안 쓴 레이어
+const _boidSkinKeys = []; // index → 쓰고 있는 스킨 키 (계열 레이어로 대신하는 중이면 undefined)
+const _skinQueue = new Set(); // 스킨을 다시 만들어야 하는 boid 인덱스
+const _skinFallback = new Set(); // 레이어가 모자라 계열 스킨을 쓰는 boid (레이어가 비면 다시 대기)
+const _camouflage = []; // index → 스킨 무늬 위장도 0~1 (스킨 생성 시 갱신)
 
 // Boids 파라미터
 const CONFIG = {
@@ -76,7 +120,11 @@ const CONFIG = {
 };
 
 // 상태
-const _boidMeshes = []; // per-boid Mesh (InstancedMesh 대신)
+let _boidMesh = null; // InstancedMesh (개체 하나 = instance 하나, draw call 1회)
+// 개체별 instance 속성 (색은 InstancedMesh 내장 instanceColor 사용)
+let _emissiveAttr = null; // vec3: trail 열기 + 좋아요 발광
+let _skinAttr = null; // float: 스킨 텍스처 배열 레이어 (_skinLayers가 나눠 준 번호)
+let _lifeAttr = null; // vec2: (생애 상태 코드, 진행도 0~1) → 셰이더에서 죽음/탄생 스케일
 const _pos = [];
 const _vel = [];
 const _acc = [];
@@ -96,11 +144,54 @@ let _avgNeighborCount = 0;
 // 현재 프레임 기준 살아있는 boid 수
 let _aliveCount = 0;
 
+// GA 연동: 세대 창(window) 동안 누적되는 개체별 행동 통계
+// → main.js가 evaluatePopulation(getBoidBehaviorStats())로 넘겨 행동 기반 fitness에 사용
+const _behavior = []; // index → { trailFollowed, neighborSum, samples, nutrientTime, distance }
+const NUTRIENT_REACH_RADIUS = 4.0; // 이 거리 안이면 "영양원에 도달"로 본다
+
+// island model: index → 무리(flock) id. null이면 전체가 한 무리
+// - 정렬/응집은 같은 무리끼리만, 분리(충돌 회피)는 모든 개체와
+let _flockGroups = null;
+
+// spatial mating: 세대 창 동안 두 개체가 CONFIG.neighborRadius 안에 함께 있었던 시간(초)
+// - 만난 쌍만 저장하는 희소 맵: encounterKey(i, j) (i < j) → 초, resetBoidBehaviorStats로 리셋
+// - 격자 이웃 질의에서 채우므로 N이 수천이어도 실제로 가까이 지낸 쌍 수만큼만 커진다.
+const _encounters = new Map();
+
+function encounterKey(i, j) {
+  return i * CONFIG.count + j;
+}
+
+// 이웃 탐색용 균일 격자 (trail 격자와 같은 128×128 해상도, counting sort 방식)
+// - _cellStart[c] ~ _cellStart[c + 1] 구간의 _cellItems가 셀 c에 든 개체 인덱스
+const _cellStart = new Int32Array(TRAIL_GRID_SIZE * TRAIL_GRID_SIZE + 1);
+let _cellItems = new Int32Array(0);
+let _boidCell = new Int32Array(0);
+// 이웃 질의 비용 (HUD 표시용, ms는 지수 이동 평균)
+const _neighborQuery = { ms: 0, cells: 0, candidates: 0, pairs: 0, agents: 0 };
+
+// 에너지 생태 모드: index → 현재 에너지 (ecologyParams.enabled일 때만 변함)
+const _energy = [];
+
+// 포식자 상태 (PREDATOR_MAX개를 미리 만들고 앞에서 predatorParams.count개만 활성)
+let _predatorMesh = null;
+const _predPos = [];
+const _predVel = [];
+const _predDigest = []; // 남은 소화 시간(초)
+const _predTarget = []; // 쫓는 boid 인덱스 (-1: 배회)
+let _catchesTotal = 0;
+let _pendingCatches = 0; // collectEcologyEvents가 읽고 비우는 잡힌 수
+
 const STATE_ALIVE = "alive";
 const STATE_DYING = "dying";
 const STATE_DEAD = "dead";
 const STATE_NEWBORN = "newborn";
 
+// instanceLife.x 값 (셰이더와 공유)
+const LIFE_CODE_ALIVE = 0;
+const LIFE_CODE_DYING = 1;
+const LIFE_CODE_NEWBORN = 2;
+
 // 패턴별 색상 악센트 (시각적으로 명확히 구분되도록)
 // - 서버실 톤을 유지하면서도 hue/sat를 달리 줘서 한눈에 패턴이 보이게 한다.
 const PATTERN_ACCENT_COLORS = [
@@ -155,14 +246,8 @@ function hsvToRgb(h, s, v) {
 }
 
 function createFallbackGenome() {
-  return {
-    hue: 190,
-    value: 0.6,
-    patternId: 0,
-    bodyScale: 1.0,
-    baseSpeed: 1.0,
-    showOff: 0.3,
-  };
+  // GA 없이 띄울 때: 스키마 default 값 (genome.js)
+  return createDefaultGenome();
 }
 
 /* ========================= 
@@ -323,8 +408,8 @@ function limitVec3(v, maxLen) {
 // Nutrient Field / Attraction
 // ───────────────────────────────
 
-// 최대 10개의 영양원
-const NUTRIENT_COUNT = 10;
+// 최대 16개의 영양원 (plants.js가 식물마다 하나씩, 식물 수 최대 15)
+const NUTRIENT_COUNT = 16;
 
 // 각 영양원: 산 지형 위 특정 위치, 열/시간에 따라 strength가 다름
 // - pos: THREE.Vector3 (월드 좌표, 렉/호수 근처 등)
@@ -336,6 +421,11 @@ const _nutrients = new Array(NUTRIENT_COUNT).fill(null).map(() => ({
   active: false,
 }));
 
+// 영양원별 누적 섭취 시간 (boid가 근처에 머문 초, 여러 boid면 합산)
+// → plants.js 식물 GA가 "얼마나 먹혔는지"를 fitness로 사용
+const _nutrientConsumed = new Float32Array(NUTRIENT_COUNT);
+const _nutrientDir = new THREE.Vector3();
+
 /**
  * 환경/열 시스템 쪽에서 프레임마다 영양원 상태를 갱신할 때 사용할 수 있는 헬퍼.
  * (원하지 않으면 사용 안 해도 됨. 필요한 곳에서 _nutrients 배열을 직접 만져도 됨.)
@@ -365,8 +455,8 @@ export function clearNutrient(index) {
  *   - 길이 0이면 "이번 프레임엔 영양원 영향 없음"을 의미
  */
 export function getNutrientForce(pos) {
-  // 가비지 줄이기 위해 재사용하는 임시 벡터
-  const dirAccum = new THREE.Vector3(0, 0, 0);
+  // 가비지 줄이기 위해 재사용하는 임시 벡터 (반환값도 이 벡터이므로 바로 사용할 것)
+  const dirAccum = _nutrientDir.set(0, 0, 0);
   let totalWeight = 0.0;
 
   for (let i = 0; i < NUTRIENT_COUNT; i++) {
@@ -404,7 +494,7 @@ export function getNutrientForce(pos) {
 
   // 활성 영양원이 없거나, 실질적으로 힘이 없으면 영향 없음
   if (totalWeight <= 1e-6) {
-    return new THREE.Vector3(0, 0, 0);
+    return dirAccum.set(0, 0, 0);
   }
 
   // 가중 평균 방향 벡터
@@ -412,78 +502,192 @@ export function getNutrientForce(pos) {
 
   // 혹시라도 수치적으로 거의 0이면 영향 없음 처리
   if (dirAccum.lengthSq() < 1e-6) {
-    return new THREE.Vector3(0, 0, 0);
+    return dirAccum.set(0, 0, 0);
   }
 
   // 반드시 normalize된 단위벡터 반환
   return dirAccum.normalize();
 }
 
+/**
+ * radius 안에서 가장 가까운 활성 영양원 인덱스 (없으면 -1)
+ * - 영양원은 식물 전하 구슬 높이(지면 위 수~수십)에 있고 boid는 지면을 따라 다니므로
+ *   수평(xz) 거리로 잰다. (3D 거리로는 아래를 지나가도 닿지 않는다)
+ */
+function nearestActiveNutrient(pos, radius) {
+  let best = -1;
+  let bestD2 = radius * radius;
+  for (let i = 0; i < NUTRIENT_COUNT; i++) {
+    const n = _nutrients[i];
+    if (!n.active || n.strength <= 0.0) continue;
+    const dx = n.pos.x - pos.x;
+    const dz = n.pos.z - pos.z;
+    const d2 = dx * dx + dz * dz;
+    if (d2 <= bestD2) {
+      best = i;
+      bestD2 = d2;
+    }
+  }
+  return best;
+}
+
+/**
+ * 영양원별 누적 섭취 시간 (resetNutrientConsumption 이후)
+ */
+export function getNutrientConsumption() {
+  return Array.from(_nutrientConsumed);
+}
+
+export function resetNutrientConsumption() {
+  _nutrientConsumed.fill(0);
+}
+
+// genome의 행동 배수 유전자 (없으면 1.0 = 전역 파라미터 그대로)
+function geneOr(genome, name) {
+  const v = genome?.[name];
+  return typeof v === "number" ? v : 1.0;
+}
+
+function createEmptyBehavior() {
+  return {
+    trailFollowed: 0,
+    neighborSum: 0,
+    samples: 0,
+    nutrientTime: 0,
+    distance: 0,
+    likes: 0,
+    survivalTime: 0,
+    caught: 0,
+  };
+}
+
 function updateBoidsLogic(dt, t) {
   _simTime = t;
   const N = CONFIG.count;
   for (let i = 0; i < N; i++) _acc[i].set(0, 0, 0);
 
+  // 좋아요 하이라이트 정규화용 (이번 세대 창 최대 좋아요 수)
+  let maxLikes = 0;
+  for (let i = 0; i < N; i++) maxLikes = Math.max(maxLikes, _behavior[i].likes);
+
   // 환경 사운드용 density 메트릭 계산을 위한 누적 변수
   let totalNeighborCount = 0;
   let aliveCountForDensity = 0;
 
+  // 이웃 탐색 broadphase: trail 격자(128×128)와 같은 해상도의 균일 격자에 개체를 담는다.
+  const queryStart = performance.now();
+  buildNeighborGrid(N);
+  let cellsVisited = 0;
+  let candidates = 0;
+  let pairs = 0;
+
   for (let i = 0; i < N; i++) {
     if (_states[i] === STATE_DEAD) continue;
     const pi = _pos[i];
     const vi = _vel[i];
-    let sumV = new THREE.Vector3();
-    let sumP = new THREE.Vector3();
-    let sep = new THREE.Vector3();
+    // 개체별 행동 유전자 (genome.js 스키마, 전역 CONFIG에 곱하는 배수)
+    const genome = _genomes[i];
+    const neighborRadius = CONFIG.neighborRadius * geneOr(genome, "perception");
+    const nr2 = neighborRadius * neighborRadius;
+    const er2 = CONFIG.neighborRadius * CONFIG.neighborRadius;
+    // separation 유전자는 가중치와 함께 반경에도 곱한다. (개체마다 선호 간격이 다름)
+    const separationRadius = CONFIG.separationRadius * geneOr(genome, "separation");
+    const sr2 = separationRadius * separationRadius;
+    // 정렬/응집/분리/만남 기록 중 가장 넓은 반경만큼 격자 셀을 훑는다.
+    const queryRadius = Math.max(neighborRadius, CONFIG.neighborRadius, separationRadius);
+
+    // 할당 없는 누적 변수 (정렬: 속도 합, 응집: 위치 합, 분리: 상대 방향 단위벡터 합)
+    let svx = 0, svz = 0;
+    let spx = 0, spz = 0;
+    let sepx = 0, sepy = 0, sepz = 0;
     let cnt = 0;
 
-    for (let j = 0; j < N; j++)
-      if (j !== i && _states[j] !== STATE_DEAD) {
-        const pj = _pos[j];
-        const d = pi.distanceTo(pj);
-        if (d < CONFIG.neighborRadius) {
-          sumV.add(_vel[j]);
-          sumP.add(pj);
-          cnt++;
+    const reach = Math.ceil(queryRadius / TRAIL_CELL_SIZE);
+    const cx = trailCellCoord(pi.x);
+    const cz = trailCellCoord(pi.z);
+    const x0 = Math.max(0, cx - reach);
+    const x1 = Math.min(TRAIL_GRID_SIZE - 1, cx + reach);
+    const z0 = Math.max(0, cz - reach);
+    const z1 = Math.min(TRAIL_GRID_SIZE - 1, cz + reach);
+
+    for (let gz = z0; gz <= z1; gz++) {
+      for (let gx = x0; gx <= x1; gx++) {
+        const cell = gx + gz * TRAIL_GRID_SIZE;
+        cellsVisited++;
+        const end = _cellStart[cell + 1];
+        for (let k = _cellStart[cell]; k < end; k++) {
+          const j = _cellItems[k];
+          if (j === i) continue;
+          candidates++;
+          const pj = _pos[j];
+          const dx = pi.x - pj.x;
+          const dy = pi.y - pj.y;
+          const dz = pi.z - pj.z;
+          const d2 = dx * dx + dy * dy + dz * dz;
+
+          const sameFlock = !_flockGroups || _flockGroups[i] === _flockGroups[j];
+          if (sameFlock && d2 < nr2) {
+            const vj = _vel[j];
+            svx += vj.x; svz += vj.z;
+            spx += pj.x; spz += pj.z;
+            cnt++;
+            pairs++;
+          }
+          // 만남 기록: 무리/유전자와 무관하게 전역 neighborRadius 기준, 쌍마다 한 번만 누적
+          if (j > i && d2 < er2) {
+            const key = encounterKey(i, j);
+            _encounters.set(key, (_encounters.get(key) ?? 0) + dt);
+          }
+          if (d2 < sr2 && d2 > 1e-6) {
+            // (pi - pj) / d = 단위 방향 (격자 도입 전과 같은 가중)
+            const inv = 1.0 / Math.sqrt(d2);
+            sepx += dx * inv; sepy += dy * inv; sepz += dz * inv;
+          }
         }
-        if (d < CONFIG.separationRadius && d > 1e-3)
-          sep.add(pi.clone().sub(pj).multiplyScalar(1.0 / d));
       }
+    }
 
     // density 메트릭용 누적 (alive 개체들만 대상)
     totalNeighborCount += cnt;
     aliveCountForDensity++;
 
+    // 행동 통계: 이번 프레임 이웃 수
+    const beh = _behavior[i];
+    beh.neighborSum += cnt;
+    beh.samples++;
+
     const acc = _acc[i];
-    const genome = _genomes[i];
     const speedFactor = genome && typeof genome.baseSpeed === "number" ? genome.baseSpeed : 1.0;
 
     if (cnt > 0) {
-      const align = sumV.multiplyScalar(1 / cnt).setY(0);
+      const align = _tmpSteer.set(svx / cnt, 0, svz / cnt);
       align
         .normalize()
         .multiplyScalar(CONFIG.maxSpeed * speedFactor)
         .sub(vi)
         .clampLength(0, CONFIG.maxForce);
-      acc.addScaledVector(align, CONFIG.alignWeight);
+      acc.addScaledVector(align, CONFIG.alignWeight * geneOr(genome, "alignment"));
 
-      const center = sumP.multiplyScalar(1 / cnt);
-      const cohesion = center.sub(pi).setY(0);
+      const cohesion = _tmpSteer.set(spx / cnt - pi.x, 0, spz / cnt - pi.z);
       cohesion
         .normalize()
         .multiplyScalar(CONFIG.maxSpeed * speedFactor)
         .sub(vi)
         .clampLength(0, CONFIG.maxForce);
-      acc.addScaledVector(cohesion, CONFIG.cohesionWeight);
+      acc.addScaledVector(cohesion, CONFIG.cohesionWeight * geneOr(genome, "cohesion"));
     }
 
+    // 포식자 공포: 가까운 포식자에게서 달아나고, 겁먹은 만큼 무리 간격을 벌린다.
+    const fear = applyPredatorFear(i, acc, speedFactor);
+
+    const sep = _tmpSteer.set(sepx, sepy, sepz);
     if (sep.lengthSq() > 0) {
       sep
         .normalize()
         .multiplyScalar(CONFIG.maxSpeed * speedFactor)
         .sub(vi)
         .clampLength(0, CONFIG.maxForce);
-      acc.addScaledVector(sep, CONFIG.separationWeight);
+      acc.addScaledVector(sep, CONFIG.separationWeight * geneOr(genome, "separation") * (1 + 2 * fear));
     }
 
     // ① 영양원 force: 영양원 방향 단위벡터를 acc에 더한다.
@@ -493,12 +697,22 @@ function updateBoidsLogic(dt, t) {
     }
 
     // ② trail sensing force: 슬라임 몰드식 trail 따라가기
-    applyTrailSensingForce(i, acc);
+    //    남이 남긴 trail을 따라가면 그 주인에게 따라간 시간만큼 trail 점수를 준다.
+    const owner = applyTrailSensingForce(i, acc);
+    if (owner >= 0 && owner !== i && _behavior[owner]) _behavior[owner].trailFollowed += dt;
 
-    acc.x += (Math.random() - 0.5) * 0.2;
-    acc.z += (Math.random() - 0.5) * 0.2;
+    acc.x += (_rng.random() - 0.5) * 0.2;
+    acc.z += (_rng.random() - 0.5) * 0.2;
   }
 
+  recordNeighborQuery(
+    performance.now() - queryStart,
+    aliveCountForDensity,
+    cellsVisited,
+    candidates,
+    pairs
+  );
+
   // 이번 프레임 기준 평균 이웃 수(군집도) 계산
   if (aliveCountForDensity > 0) {
     _avgNeighborCount = totalNeighborCount / aliveCountForDensity;
@@ -514,15 +728,12 @@ function updateBoidsLogic(dt, t) {
     const state = _states[i];
     const genome = _genomes[i];
     const speedFactor = genome && typeof genome.baseSpeed === "number" ? genome.baseSpeed : 1.0;
-    const mesh = _boidMeshes[i];
-    if (!mesh) continue;
 
     if (state === STATE_DEAD) {
-      // 죽은 개체는 보이지 않도록 숨김
-      mesh.visible = false;
+      // 죽은 개체는 보이지 않도록 크기 0 instance로 숨김
+      _boidMesh.setMatrixAt(i, _hiddenMatrix);
       continue;
     }
-    mesh.visible = true;
 
     const p = _pos[i];
     const v = _vel[i];
@@ -539,7 +750,33 @@ function updateBoidsLogic(dt, t) {
     p.addScaledVector(v, dt);
     // ▼ 위치가 최종적으로 업데이트된 직후, 해당 지점에 trail을 남긴다.
     //    (이 줄 바로 아래에 depositTrail(p.x, p.z)를 호출하도록 설계)
-    depositTrail(p.x, p.z);
+    depositTrail(p.x, p.z, undefined, i);
+
+    // 행동 통계: 이동 거리 / 영양원 근처 체류 시간 (trail 점수는 따라간 쪽에서 적립)
+    const beh = _behavior[i];
+    beh.distance += v.length() * dt;
+    if (state !== STATE_DYING) beh.survivalTime += dt;
+    const food = nearestActiveNutrient(p, NUTRIENT_REACH_RADIUS);
+    const nearFood = food >= 0;
+    if (nearFood) {
+      beh.nutrientTime += dt;
+      _nutrientConsumed[food] += dt;
+    }
+
+    // 에너지 생태 모드: 죽어가는 개체는 더 이상 먹거나 소모하지 않는다.
+    if (ecologyParams.enabled && state !== STATE_DYING) {
+      const speedNorm = v.length() / CONFIG.maxSpeed;
+      const drain =
+        ecologyParams.baseDrain +
+        ecologyParams.speedDrain * speedNorm +
+        ecologyParams.showOffDrain * (genome?.showOff ?? 0);
+      const gain = nearFood ? ecologyParams.feedRate : 0;
+      _energy[i] = THREE.MathUtils.clamp(
+        _energy[i] + (gain - drain) * dt,
+        0,
+        ecologyParams.maxEnergy
+      );
+    }
 
     // 기본 회전 (진행 방향)
     const yaw = Math.atan2(v.x, v.z);
@@ -561,24 +798,28 @@ function updateBoidsLogic(dt, t) {
       ? genome.bodyScale * CONFIG.scale
       : CONFIG.scale;
 
-    let scaleMul = 1.0;
+    // 생애 상태 스케일(죽음 1→0.2, 탄생 0.2→1)은 instanceLife로 넘겨 셰이더에서 곱한다.
+    let lifeCode = LIFE_CODE_ALIVE;
+    let lifeT = 0;
+    let hidden = false;
     if (state === STATE_DYING) {
       _deathTimers[i] += dt;
-      const tNorm = Math.min(1.0, _deathTimers[i] / _deathDuration);
-      scaleMul = THREE.MathUtils.lerp(1.0, 0.2, tNorm);
+      lifeCode = LIFE_CODE_DYING;
+      lifeT = Math.min(1.0, _deathTimers[i] / _deathDuration);
       p.y -= 0.4 * dt; // 천천히 가라앉는 느낌
       if (_deathTimers[i] >= _deathDuration) {
         _states[i] = STATE_DEAD;
-        scaleMul = 0.0001;
+        hidden = true;
       }
     } else if (state === STATE_NEWBORN) {
       _newbornTimers[i] += dt;
-      const tNorm = Math.min(1.0, _newbornTimers[i] / _newbornDuration);
-      scaleMul = THREE.MathUtils.lerp(0.2, 1.0, tNorm);
+      lifeCode = LIFE_CODE_NEWBORN;
+      lifeT = Math.min(1.0, _newbornTimers[i] / _newbornDuration);
       if (_newbornTimers[i] >= _newbornDuration) {
         _states[i] = STATE_ALIVE;
       }
     }
+    _lifeAttr.setXY(i, lifeCode, lifeT);
 
     // 현재 위치의 trail 강도를 0~1로 정규화해서 읽는다.
     const trailStrength = getTrailStrengthAt(p);
@@ -586,25 +827,39 @@ function updateBoidsLogic(dt, t) {
     // trail이 강한 곳일수록 약간 더 크게 보이도록 스케일 배수 적용
     // (0.9 ~ 1.5 사이에서 보간, 지나가는 자취는 "색" 위주로 표현)
     const visScaleMul = THREE.MathUtils.lerp(0.9, 1.5, trailStrength);
-    const finalScale = baseScale * scaleMul * visScaleMul;
-
-    // 위치/회전/스케일을 직접 Mesh에 적용
-    mesh.position.copy(p);
-    mesh.rotation.set(pitch, yaw, roll);
-    mesh.scale.set(finalScale, finalScale, finalScale);
+    const finalScale = baseScale * visScaleMul;
+
+    // 위치/회전/스케일을 instance 행렬에 기록 (회전 순서는 Object3D 기본 XYZ)
+    if (hidden) {
+      _boidMesh.setMatrixAt(i, _hiddenMatrix);
+    } else {
+      _tmpEuler.set(pitch, yaw, roll);
+      _tmpQuat.setFromEuler(_tmpEuler);
+      _tmpScale.set(finalScale, finalScale, finalScale);
+      _tmpMatrix.compose(p, _tmpQuat, _tmpScale);
+      _boidMesh.setMatrixAt(i, _tmpMatrix);
+    }
 
     // trail이 강할수록 "색깔"과 발광으로 지나간 자취를 강조
-    const mat = mesh.material;
     const baseCol = _baseColors[i];
-    if (mat && mat.isMeshStandardMaterial && baseCol) {
+    if (baseCol) {
       // 기본 Genome 색을 유지하되, trail이 강할수록 "뜨거운" 색으로 틴트
       const colorLerp = trailStrength; // 0~1 사이 그대로 사용
       _tmpTrailColor.copy(baseCol).lerp(_trailHotColor, colorLerp);
-      mat.color.copy(_tmpTrailColor);
+      _boidMesh.setColorAt(i, _tmpTrailColor);
 
       // emissive는 baseCol 대신 hot color 기준으로 강하게 발광
       const emissiveStrength = THREE.MathUtils.lerp(0.0, 3.0, trailStrength);
-      mat.emissive.copy(_trailHotColor).multiplyScalar(emissiveStrength);
+      _tmpEmissive.copy(_trailHotColor).multiplyScalar(emissiveStrength);
+
+      // 관람객이 좋아요를 준 개체는 분홍색으로 맥동 발광 (많이 받을수록 강하게)
+      if (beh.likes > 0 && maxLikes > 0) {
+        const favor = beh.likes / maxLikes;
+        const pulse = 0.75 + 0.25 * Math.sin(_simTime * 4.0 + i);
+        _tmpEmissive.lerp(_likeColor, 0.5 + 0.5 * favor);
+        _tmpEmissive.multiplyScalar(1.0 + favor * 2.0 * pulse);
+      }
+      _emissiveAttr.setXYZ(i, _tmpEmissive.r, _tmpEmissive.g, _tmpEmissive.b);
     }
 
     // ───────────────────────────────
@@ -638,6 +893,8 @@ function updateBoidsLogic(dt, t) {
     }
   }
 
+  markInstancesDirty();
+
   // ▼ 모든 에이전트가 trail을 남긴 뒤, 프레임마다 전체 trail을 서서히 감쇠시킨다.
   //    (trailGrid[i] *= TRAIL_DECAY_RATE)
   decayTrail();
@@ -679,14 +936,76 @@ function applyGenomeToBoid(index, genome) {
 
   _baseColors[index] = col;
 
-  const mesh = _boidMeshes[index];
-  if (mesh && mesh.material && mesh.material.isMeshStandardMaterial) {
-    mesh.material.color.copy(col);
-    mesh.material.emissive.copy(col).multiplyScalar(0.2);
-    mesh.material.needsUpdate = true;
+  if (_boidMesh) {
+    _boidMesh.setColorAt(index, col);
+    _emissiveAttr.setXYZ(index, col.r * 0.2, col.g * 0.2, col.b * 0.2);
+    markInstancesDirty();
+    assignSkin(index, g);
   }
 }
 
+function markInstancesDirty() {
+  _boidMesh.instanceMatrix.needsUpdate = true;
+  if (_boidMesh.instanceColor) _boidMesh.instanceColor.needsUpdate = true;
+  _emissiveAttr.needsUpdate = true;
+  _lifeAttr.needsUpdate = true;
+}
+
+/**
+ * 개체별 instance 속성을 읽도록 MeshStandardMaterial 셰이더를 확장한다.
+ * - instanceLife: 죽음(1→0.2) / 탄생(0.2→1) 스케일을 로컬 좌표에 곱함
+ * - instanceEmissive: 재질 emissive 대신 개체별 발광색
+ * - instanceSkin: 개체 스킨 레이어 (재질 map 대신 Gray-Scott 스킨 배열에서 샘플링)
+ */
+function applyInstanceAttributes(material) {
+  material.onBeforeCompile = (shader) => {
+    shader.uniforms.uSkinArray = { value: _rdArray };
+    shader.vertexShader = shader.vertexShader
+      .replace(
+        "#include <common>",
+        `#include <common>
+attribute vec3 instanceEmissive;
+attribute float instanceSkin;
+attribute vec2 instanceLife;
+varying vec3 vInstanceEmissive;
+varying float vInstanceSkin;
+varying vec2 vSkinUv;`
+      )
+      .replace(
+        "#include <begin_vertex>",
+        `#include <begin_vertex>
+float lifeScale = 1.0;
+if (instanceLife.x > ${LIFE_CODE_DYING}.0 - 0.5 && instanceLife.x < ${LIFE_CODE_DYING}.0 + 0.5) {
+  lifeScale = mix(1.0, 0.2, instanceLife.y);
+} else if (instanceLife.x > ${LIFE_CODE_NEWBORN}.0 - 0.5) {
+  lifeScale = mix(0.2, 1.0, instanceLife.y);
+}
+transformed *= lifeScale;
+vInstanceEmissive = instanceEmissive;
+vInstanceSkin = instanceSkin;
+vSkinUv = uv * ${RD_REPEAT}.0;`
+      );
+    shader.fragmentShader = shader.fragmentShader
+      .replace(
+        "#include <common>",
+        `#include <common>
+uniform highp sampler2DArray uSkinArray;
+varying vec3 vInstanceEmissive;
+varying float vInstanceSkin;
+varying vec2 vSkinUv;`
+      )
+      .replace(
+        "#include <map_fragment>",
+        `diffuseColor *= texture(uSkinArray, vec3(vSkinUv, floor(vInstanceSkin + 0.5)));`
+      )
+      .replace(
+        "vec3 totalEmissiveRadiance = emissive;",
+        "vec3 totalEmissiveRadiance = emissive + vInstanceEmissive;"
+      );
+  };
+  material.customProgramCacheKey = () => "boid-instanced";
+}
+
 /* ========================= 
  * 공개 API
  * ========================= */
@@ -695,32 +1014,64 @@ export async function initBoids(scene, terrain, initialGenomes = null) {
   _terrain = terrain;
 
   const geom = await loadBoidGeometry();
-  const baseTex = _rdTextures[0] || null;
+  const N = CONFIG.count;
 
-  for (let i = 0; i < CONFIG.count; i++) {
-    const mat = new THREE.MeshStandardMaterial({
-      color: 0xffffff,
-      roughness: 0.6,
-      metalness: 0.2,
-      side: THREE.DoubleSide,
-    });
-    if (baseTex) {
-      mat.map = baseTex;
-      mat.map.wrapS = mat.map.wrapT = THREE.RepeatWrapping;
-      mat.map.repeat.set(2, 2);
-      mat.map.needsUpdate = true;
-    }
-    const mesh = new THREE.Mesh(geom, mat);
-    scene.add(mesh);
-    _boidMeshes[i] = mesh;
+  // 개체별 속성: 프레임마다 갱신하므로 DynamicDrawUsage
+  _emissiveAttr = new THREE.InstancedBufferAttribute(new Float32Array(N * 3), 3);
+  _lifeAttr = new THREE.InstancedBufferAttribute(new Float32Array(N * 2), 2);
+  for (const attr of [_emissiveAttr, _lifeAttr]) {
+    attr.setUsage(THREE.DynamicDrawUsage);
   }
+  // 스킨 레이어 번호는 applyGenomeToBoid → assignSkin이 채운다.
+  _skinAttr = new THREE.InstancedBufferAttribute(new Float32Array(N), 1);
+  _skinAttr.setUsage(THREE.DynamicDrawUsage);
+  geom.setAttribute("instanceEmissive", _emissiveAttr);
+  geom.setAttribute("instanceSkin", _skinAttr);
+  geom.setAttribute("instanceLife", _lifeAttr);
+
+  const skinLayers = Math.min(SKIN_LAYER_LIMIT, RD_FAMILY_PARAMS.length + N);
+  _rdArray = new THREE.DataArrayTexture(
+    new Uint8Array(SKIN_LAYER_BYTES * skinLayers).fill(255),
+    RD_SKIN_SIZE,
+    RD_SKIN_SIZE,
+    skinLayers
+  );
+  _rdArray.wrapS = _rdArray.wrapT = THREE.RepeatWrapping;
+  _rdArray.magFilter = THREE.LinearFilter;
+  _rdArray.minFilter = THREE.LinearMipmapLinearFilter;
+  _rdArray.generateMipmaps = true;
+  _rdArray.needsUpdate = true;
+  _skinLayers.clear();
+  _freeSkinLayers.length = 0;
+  for (let layer = skinLayers - 1; layer >= RD_FAMILY_PARAMS.length; layer--) _freeSkinLayers.push(layer);
+  _familySkinsReady = 0;
+
+  // 색은 instanceColor가 곱해지므로 재질 색은 흰색, 발광은 instanceEmissive가 담당
+  const mat = new THREE.MeshStandardMaterial({
+    color: 0xffffff,
+    roughness: 0.6,
+    metalness: 0.2,
+    side: THREE.DoubleSide,
+  });
+  // 무늬는 map 대신 instanceSkin으로 고른 스킨 배열 레이어를 곱한다.
+  applyInstanceAttributes(mat);
+
+  _boidMesh = new THREE.InstancedMesh(geom, mat, N);
+  _boidMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  // instance들이 지형 전체에 흩어지므로 geometry 기준 frustum culling은 끈다.
+  _boidMesh.frustumCulled = false;
+  // instanceColor는 첫 렌더 전에 만들어져야 셰이더에 반영된다.
+  for (let i = 0; i < N; i++) _boidMesh.setColorAt(i, _trailHotColor);
+  _boidMesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+  scene.add(_boidMesh);
+  initPredators(scene);
 
   const halfW = 200 * 0.5 - CONFIG.boundMargin;
   const halfD = 200 * 0.5 - CONFIG.boundMargin;
 
   for (let i = 0; i < CONFIG.count; i++) {
-    const x = THREE.MathUtils.randFloat(-halfW, halfW);
-    const z = THREE.MathUtils.randFloat(-halfD, halfD);
+    const x = _rng.float(-halfW, halfW);
+    const z = _rng.float(-halfD, halfD);
     const y0 =
       (_terrain.heightAtXZ(x, z) - _terrain.uniforms.seaLevel.value) *
       _terrain.uniforms.heightScale.value +
@@ -729,9 +1080,9 @@ export async function initBoids(scene, terrain, initialGenomes = null) {
     const dir = new THREE.Vector3().setFromSphericalCoords(
       1,
       Math.PI * 0.5,
-      Math.random() * Math.PI * 2
+      _rng.random() * Math.PI * 2
     );
-    _vel[i] = dir.multiplyScalar(THREE.MathUtils.randFloat(3.0, 7.0));
+    _vel[i] = dir.multiplyScalar(_rng.float(3.0, 7.0));
     _acc[i] = new THREE.Vector3();
 
     // Genome & 상태 초기화
@@ -740,16 +1091,152 @@ export async function initBoids(scene, terrain, initialGenomes = null) {
     _states[i] = STATE_ALIVE;
     _deathTimers[i] = 0;
     _newbornTimers[i] = 0;
+    _behavior[i] = createEmptyBehavior();
+    _energy[i] = ecologyParams.startEnergy;
   }
+  _encounters.clear();
 
   console.log(`[Boids] ${CONFIG.count}개 초기화 완료`);
   return true;
 }
 
 export function updateBoids(dt) {
-  if (_boidMeshes.length === 0 || !_terrain) return;
+  if (!_boidMesh || !_terrain) return;
   const t = _simTime + dt;
   updateBoidsLogic(dt, t);
+  updatePredators(dt);
+  updateSkins();
+}
+
+/**
+ * 대기 중인 스킨을 프레임 예산 안에서 생성해 텍스처 배열에 쓴다.
+ * - 계열 기본 레이어를 먼저 채운다. (개체 스킨이 나오기 전까지 보이는 무늬)
+ * - 같은 파라미터의 스킨은 reaction-diffusion.js 캐시에서 바로 나온다.
+ * - 캐시에 없으면 시뮬레이션을 SKIN_STEP_SLICE 스텝씩 진행하고, 예산을 다 쓰면 다음 프레임에 이어서 한다.
+ */
+function updateSkins() {
+  if (!_rdArray) return;
+  if (_skinQueue.size === 0 && _familySkinsReady === RD_FAMILY_PARAMS.length) return;
+  const start = performance.now();
+  while (_familySkinsReady < RD_FAMILY_PARAMS.length) {
+    const genome = { patternId: _familySkinsReady };
+    const entry = obtainSkin(genome, rdSkinKey(genome), start);
+    if (!entry) return;
+    writeSkinLayer(_familySkinsReady, entry.pixels);
+    _familySkinsReady++;
+  }
+  for (const index of _skinQueue) {
+    if (performance.now() - start >= SKIN_BUDGET_MS) break;
+    const key = rdSkinKey(_genomes[index]);
+    const entry = obtainSkin(_genomes[index], key, start);
+    if (!entry) break;
+    _skinQueue.delete(index);
+    const slot = acquireSkinSlot(key, entry);
+    if (slot) {
+      useSkinSlot(index, key, slot);
+    } else {
+      _skinFallback.add(index);
+      _camouflage[index] = skinCamouflage(entry.metrics);
+    }
+  }
+}
+
+/**
+ * genome 스킨을 캐시에서 꺼내거나 진행 중인 작업을 이어서 만든다.
+ * @returns {object|null} 스킨 ({metrics, pixels}), 이번 프레임 예산 안에 못 끝나면 null
+ */
+function obtainSkin(genome, key, start) {
+  const cached = getCachedSkin(key);
+  if (cached) return cached;
+  // 대기 중에 genome이 바뀌었으면 이전 작업은 버린다.
+  if (!_skinJob || _skinJob.key !== key) _skinJob = createGenomeSkinJob(genome);
+  while (!_skinJob.advance(SKIN_STEP_SLICE)) {
+    if (performance.now() - start >= SKIN_BUDGET_MS) return null;
+  }
+  const { entry } = _skinJob;
+  _skinJob = null;
+  return entry;
+}
+
+/**
+ * 새 genome의 스킨 연결
+ * - 이미 레이어에 올라가 있는 스킨이면 바로 공유, 아니면 계열 스킨을 보이면서 updateSkins 대기열로
+ */
+function assignSkin(index, genome) {
+  const key = rdSkinKey(genome);
+  if (key === _boidSkinKeys[index]) return;
+  releaseSkinSlot(index);
+  _skinFallback.delete(index);
+  const slot = _skinLayers.get(key);
+  if (slot) {
+    _skinQueue.delete(index);
+    useSkinSlot(index, key, slot);
+    return;
+  }
+  setSkinLayer(index, rdParamsFromGenome(genome).family);
+  _skinQueue.add(index);
+}
+
+/**
+ * 스킨 키의 레이어 (없으면 빈 레이어 또는 가장 오래 쉰 레이어에 새로 쓴다)
+ * @returns {object|null} 레이어가 전부 사용 중이면 null
+ */
+function acquireSkinSlot(key, entry) {
+  let slot = _skinLayers.get(key);
+  if (slot) return slot;
+  let layer = _freeSkinLayers.pop();
+  if (layer === undefined) {
+    for (const [idleKey, idle] of _skinLayers) {
+      if (idle.users > 0) continue;
+      _skinLayers.delete(idleKey);
+      layer = idle.layer;
+      break;
+    }
+    if (layer === undefined) return null;
+  }
+  slot = { layer, users: 0, metrics: entry.metrics };
+  _skinLayers.set(key, slot);
+  writeSkinLayer(layer, entry.pixels);
+  return slot;
+}
+
+function useSkinSlot(index, key, slot) {
+  slot.users++;
+  _boidSkinKeys[index] = key;
+  setSkinLayer(index, slot.layer);
+  _camouflage[index] = skinCamouflage(slot.metrics);
+}
+
+// 무늬가 몸을 많이 덮을수록(coverage ~0.5) 윤곽이 흐려져 포식자 눈에 덜 띈다.
+function skinCamouflage(metrics) {
+  return Math.min(1, metrics.coverage / 0.5);
+}
+
+function releaseSkinSlot(index) {
+  const key = _boidSkinKeys[index];
+  if (key === undefined) return;
+  _boidSkinKeys[index] = undefined;
+  const slot = _skinLayers.get(key);
+  if (--slot.users > 0) return;
+  // 쉬는 레이어는 Map 뒤로 (재사용은 앞에서부터 = 오래 쉰 것부터)
+  _skinLayers.delete(key);
+  _skinLayers.set(key, slot);
+  // 계열 스킨으로 대신하던 개체 하나가 이 자리를 쓸 수 있다.
+  for (const waiting of _skinFallback) {
+    _skinFallback.delete(waiting);
+    _skinQueue.add(waiting);
+    break;
+  }
+}
+
+function setSkinLayer(index, layer) {
+  _skinAttr.setX(index, layer);
+  _skinAttr.needsUpdate = true;
+}
+
+function writeSkinLayer(layer, pixels) {
+  _rdArray.image.data.set(pixels, layer * SKIN_LAYER_BYTES);
+  _rdArray.needsUpdate = true;
 }
 
 // ───────────────────────────────
@@ -759,57 +1246,82 @@ const _yAxis = new THREE.Vector3(0, 1, 0);
 const _tmpDir = new THREE.Vector3();
 const _tmpLeftDir = new THREE.Vector3();
 const _tmpRightDir = new THREE.Vector3();
+const _tmpSteer = new THREE.Vector3(); // 정렬/응집/분리 steering 계산용
 const _tmpTrailColor = new THREE.Color();
+const _tmpEmissive = new THREE.Color();
+// instance 행렬 조립용
+const _tmpMatrix = new THREE.Matrix4();
+const _tmpQuat = new THREE.Quaternion();
+const _tmpEuler = new THREE.Euler();
+const _tmpScale = new THREE.Vector3();
+const _hiddenMatrix = new THREE.Matrix4().makeScale(0, 0, 0);
 const _trailHotColor = new THREE.Color(0xffaa00); // trail이 강한 곳을 강조할 색
+const _likeColor = new THREE.Color(0xff4fa3); // 좋아요를 받은 개체 하이라이트 색
+const _raycaster = new THREE.Raycaster();
 
+/**
+ * 센서 3개로 trail을 읽어 가장 진한 쪽으로 힘을 더한다.
+ * - 반환: 따라간 칸에 trail을 남긴 개체 index (따라가지 않았으면 -1)
+ */
 function applyTrailSensingForce(agentIndex, accOut) {
   const pos = _pos[agentIndex];
   const vel = _vel[agentIndex];
-  if (!pos || !vel) return;
+  if (!pos || !vel) return -1;
 
   // 속도가 거의 없으면 방향 판단 불가능 → skip
-  if (vel.lengthSq() < 1e-6) return;
+  if (vel.lengthSq() < 1e-6) return -1;
+
+  // 개체별 센서 / 추종 유전자
+  const genome = _genomes[agentIndex];
+  const sensorAngle = slimeParams.SENSOR_ANGLE * geneOr(genome, "sensorAngle");
+  const sensorDist = slimeParams.SENSOR_DISTANCE * geneOr(genome, "sensorDistance");
+  const follow = slimeParams.W_TRAIL_FOLLOW * geneOr(genome, "trailFollow");
+  if (follow <= 0) return -1;
 
   // 1) 현재 진행 방향 단위벡터
   _tmpDir.copy(vel).normalize();
 
   // 2) 좌/우 센서 방향 (현재 방향 기준 회전)
-  _tmpLeftDir.copy(_tmpDir).applyAxisAngle(_yAxis, +slimeParams.SENSOR_ANGLE);
-  _tmpRightDir.copy(_tmpDir).applyAxisAngle(_yAxis, -slimeParams.SENSOR_ANGLE);
+  _tmpLeftDir.copy(_tmpDir).applyAxisAngle(_yAxis, +sensorAngle);
+  _tmpRightDir.copy(_tmpDir).applyAxisAngle(_yAxis, -sensorAngle);
 
   // 3) 센서 위치 (샘플링 지점)
-  const fx = pos.x + _tmpDir.x * slimeParams.SENSOR_DISTANCE;
-  const fz = pos.z + _tmpDir.z * slimeParams.SENSOR_DISTANCE;
+  const fx = pos.x + _tmpDir.x * sensorDist;
+  const fz = pos.z + _tmpDir.z * sensorDist;
 
-  const lx = pos.x + _tmpLeftDir.x * slimeParams.SENSOR_DISTANCE;
-  const lz = pos.z + _tmpLeftDir.z * slimeParams.SENSOR_DISTANCE;
+  const lx = pos.x + _tmpLeftDir.x * sensorDist;
+  const lz = pos.z + _tmpLeftDir.z * sensorDist;
 
-  const rx = pos.x + _tmpRightDir.x * slimeParams.SENSOR_DISTANCE;
-  const rz = pos.z + _tmpRightDir.z * slimeParams.SENSOR_DISTANCE;
+  const rx = pos.x + _tmpRightDir.x * sensorDist;
+  const rz = pos.z + _tmpRightDir.z * sensorDist;
 
   // 4) trail 값 샘플링
-  const valF = sampleTrail(fx, fz);
-  const valL = sampleTrail(lx, lz);
-  const valR = sampleTrail(rx, rz);
+  const idxF = worldToTrailIndex(fx, fz);
+  const idxL = worldToTrailIndex(lx, lz);
+  const idxR = worldToTrailIndex(rx, rz);
 
   // 5) 가장 강한 값의 방향 선택
   let bestDir = _tmpDir;
-  let bestVal = valF;
+  let bestIdx = idxF;
+  let bestVal = trailGrid[idxF];
 
-  if (valL > bestVal) {
-    bestVal = valL;
+  if (trailGrid[idxL] > bestVal) {
+    bestVal = trailGrid[idxL];
+    bestIdx = idxL;
     bestDir = _tmpLeftDir;
   }
-  if (valR > bestVal) {
-    bestVal = valR;
+  if (trailGrid[idxR] > bestVal) {
+    bestVal = trailGrid[idxR];
+    bestIdx = idxR;
     bestDir = _tmpRightDir;
   }
 
   // 거의 신호가 없으면 steer 필요 없음
-  if (bestVal <= 0.001) return;
+  if (bestVal <= 0.001) return -1;
 
   // 6) 그 방향으로 힘을 추가
-  accOut.addScaledVector(bestDir, slimeParams.W_TRAIL_FOLLOW * bestVal);
+  accOut.addScaledVector(bestDir, follow * bestVal);
+  return trailOwner[bestIdx];
 }
 
 
@@ -828,6 +1340,366 @@ export function getBoidsAliveCount() {
   return _aliveCount;
 }
 
+/**
+ * 이번 프레임 이웃 질의 비용 (격자 broadphase)
+ * - ms: 격자 재구성 + 이웃 루프 시간 (지수 이동 평균)
+ * - cells / candidates / pairs: 훑은 격자 칸 수 / 거리 검사한 후보 수 / 실제 이웃 쌍 수
+ */
+export function getNeighborQueryStats() {
+  return { ..._neighborQuery };
+}
+
+/**
+ * 현재 세대 창에서 누적된 개체별 행동 통계를 반환한다.
+ * - trailFollowed: 다른 개체가 이 개체가 남긴 trail을 따라간 시간(초, 따라간 개체 수만큼 겹쳐 쌓임)
+ * - avgNeighbors: 프레임 평균 이웃 수 (neighborRadius 기준)
+ * - nutrientTime: 활성 영양원 근처에 머문 시간(초)
+ * - distance: 이동 거리(월드 단위)
+ * - likes: 관람객이 클릭으로 준 좋아요 수
+ * - survivalTime: 살아 있던 시간(초, 죽는 중이면 멈춤)
+ * - caught: 이번 세대 창에 포식자에게 잡혔으면 1
+ */
+export function getBoidBehaviorStats() {
+  return _behavior.map((b) => ({
+    trailFollowed: b.trailFollowed,
+    avgNeighbors: b.samples > 0 ? b.neighborSum / b.samples : 0,
+    nutrientTime: b.nutrientTime,
+    distance: b.distance,
+    likes: b.likes,
+    survivalTime: b.survivalTime,
+    caught: b.caught,
+  }));
+}
+
+/**
+ * 행동 통계 리셋 (새 세대 창 시작 시)
+ * - indices가 없으면 전체 리셋
+ */
+export function resetBoidBehaviorStats(indices = null) {
+  const targetIndices = indices ?? Array.from({ length: CONFIG.count }, (_, i) => i);
+  for (const i of targetIndices) {
+    // 세대 전환 중에 잡혀 아직 죽어 있는 개체는 다음 평가에서도 죽은 것으로 남긴다.
+    const stillCaught = _behavior[i]?.caught > 0 && (_states[i] === STATE_DEAD || _states[i] === STATE_DYING);
+    _behavior[i] = createEmptyBehavior();
+    if (stillCaught) _behavior[i].caught = 1;
+  }
+  // 새 개체가 이전 개체의 trail로 점수를 받지 않도록 칸 주인도 지운다.
+  if (!indices) {
+    _encounters.clear();
+    trailOwner.fill(-1);
+    return;
+  }
+  const N = CONFIG.count;
+  const reset = new Set(indices);
+  for (const key of _encounters.keys()) {
+    if (reset.has(Math.floor(key / N)) || reset.has(key % N)) _encounters.delete(key);
+  }
+  for (let c = 0; c < trailOwner.length; c++) {
+    if (reset.has(trailOwner[c])) trailOwner[c] = -1;
+  }
+}
+
+/**
+ * 현재 세대 창에서 개체 쌍이 neighborRadius 안에서 함께 보낸 시간(초)
+ * - 반환: index → (상대 index → 초) 객체 배열, 만난 적 없는 쌍은 생략
+ * - GA spatial mating이 "실제로 만난 생존자끼리" 짝을 짓는 데 사용
+ */
+export function getBoidEncounters() {
+  const N = CONFIG.count;
+  const out = Array.from({ length: N }, () => ({}));
+  for (const [key, t] of _encounters) {
+    const i = Math.floor(key / N);
+    const j = key % N;
+    out[i][j] = t;
+    out[j][i] = t;
+  }
+  return out;
+}
+
+/**
+ * 새로 태어난 개체를 부모 근처로 옮긴다. (spatial mating)
+ * - 위치: 부모 위치 평균 + 약간의 흔들림, 속도: 부모 속도 평균
+ * @param {number} index - 새로 태어난 개체 슬롯
+ * @param {number[]} parentIndices - 부모 슬롯 (생존자)
+ */
+export function placeBoidNear(index, parentIndices, jitter = 2.0) {
+  const parents = parentIndices.filter((p) => _pos[p] && p !== index);
+  if (!_pos[index] || parents.length === 0) return false;
+  const pos = new THREE.Vector3();
+  const vel = new THREE.Vector3();
+  for (const p of parents) {
+    pos.add(_pos[p]);
+    vel.add(_vel[p]);
+  }
+  pos.multiplyScalar(1 / parents.length);
+  vel.multiplyScalar(1 / parents.length);
+  pos.x += _rng.float(-jitter, jitter);
+  pos.z += _rng.float(-jitter, jitter);
+  _pos[index].copy(pos);
+  _vel[index].copy(vel);
+  _acc[index].set(0, 0, 0);
+  return true;
+}
+
+/**
+ * 화면 좌표(-1~1)에서 레이캐스트로 boid 하나를 고른다.
+ * - 죽었거나 죽어가는 개체는 제외, 가장 가까운 개체의 인덱스 (없으면 -1)
+ */
+export function pickBoid(ndc, camera) {
+  if (!_boidMesh) return -1;
+  _raycaster.setFromCamera(ndc, camera);
+  // InstancedMesh.raycast는 boundingSphere를 처음 한 번만 계산하므로, 움직인 instance가 빠지지 않게 매번 다시 잰다.
+  _boidMesh.computeBoundingSphere();
+  // InstancedMesh 교차 결과는 거리순, instanceId = boid 인덱스
+  const hits = _raycaster.intersectObject(_boidMesh, false);
+  for (const hit of hits) {
+    const i = hit.instanceId;
+    if (_states[i] === STATE_DEAD || _states[i] === STATE_DYING) continue;
+    return i;
+  }
+  return -1;
+}
+
+/**
+ * 무리 분리 설정 (island model)
+ * @param {number[]|null} groups - index → island id, null이면 하나의 무리로 복귀
+ */
+export function setBoidFlockGroups(groups) {
+  _flockGroups = groups ? groups.slice() : null;
+}
+
+/**
+ * 좋아요 추가 (세대 창 동안 누적, resetBoidBehaviorStats로 리셋)
+ */
+export function addBoidLike(index, amount = 1) {
+  const beh = _behavior[index];
+  if (!beh) return 0;
+  beh.likes += amount;
+  return beh.likes;
+}
+
+export function getBoidPosition(index) {
+  return _pos[index] ? _pos[index].clone() : null;
+}
+
+/* =========================
+ * 포식자
+ * ========================= */
+
+function initPredators(scene) {
+  // boid와 구분되는 각진 몸 (원뿔 끝이 진행 방향)
+  const geom = new THREE.ConeGeometry(0.45, 1.6, 5);
+  geom.rotateX(Math.PI * 0.5);
+  const mat = new THREE.MeshStandardMaterial({
+    color: 0x2a0d12,
+    emissive: 0xff2244,
+    emissiveIntensity: 0.6,
+    roughness: 0.4,
+    metalness: 0.5,
+  });
+  _predatorMesh = new THREE.InstancedMesh(geom, mat, PREDATOR_MAX);
+  _predatorMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  _predatorMesh.frustumCulled = false;
+  _predatorMesh.count = 0;
+  scene.add(_predatorMesh);
+
+  const halfW = 200 * 0.5 - CONFIG.boundMargin;
+  for (let k = 0; k < PREDATOR_MAX; k++) {
+    const x = _rng.float(-halfW, halfW);
+    const z = _rng.float(-halfW, halfW);
+    _predPos[k] = new THREE.Vector3(x, groundHeight(x, z) + CONFIG.hover, z);
+    _predVel[k] = new THREE.Vector3().setFromSphericalCoords(1, Math.PI * 0.5, _rng.random() * Math.PI * 2);
+    _predDigest[k] = 0;
+    _predTarget[k] = -1;
+  }
+}
+
+function groundHeight(x, z) {
+  return (
+    (_terrain.heightAtXZ(x, z) - _terrain.uniforms.seaLevel.value) *
+    _terrain.uniforms.heightScale.value
+  );
+}
+
+function activePredatorCount() {
+  return predatorParams.enabled ? Math.min(PREDATOR_MAX, Math.max(0, Math.round(predatorParams.count))) : 0;
+}
+
+/**
+ * boid i에 포식자 회피 steering을 더하고 공포 정도(0~1)를 돌려준다.
+ * - 포식자는 최대 PREDATOR_MAX개라 선형 탐색으로 충분하다.
+ */
+function applyPredatorFear(i, acc, speedFactor) {
+  const P = activePredatorCount();
+  if (P === 0) return 0;
+  const pi = _pos[i];
+  const r = predatorParams.fearRadius;
+  let fear = 0;
+  let fx = 0;
+  let fz = 0;
+  for (let k = 0; k < P; k++) {
+    const dx = pi.x - _predPos[k].x;
+    const dz = pi.z - _predPos[k].z;
+    const d2 = dx * dx + dz * dz;
+    if (d2 >= r * r || d2 < 1e-6) continue;
+    const d = Math.sqrt(d2);
+    const f = 1 - d / r;
+    fx += (dx / d) * f;
+    fz += (dz / d) * f;
+    fear = Math.max(fear, f);
+  }
+  if (fear === 0) return 0;
+  const flee = _tmpSteer.set(fx, 0, fz);
+  if (flee.lengthSq() > 0) {
+    flee
+      .normalize()
+      .multiplyScalar(CONFIG.maxSpeed * speedFactor)
+      .sub(_vel[i])
+      .clampLength(0, CONFIG.maxForce);
+    acc.addScaledVector(flee, predatorParams.fearWeight * fear);
+  }
+  return fear;
+}
+
+/**
+ * 포식자 한 프레임: 가장 가까운(위장을 감안한) boid 추격 → 지형 추종 → 포획 판정
+ */
+function updatePredators(dt) {
+  if (!_predatorMesh) return;
+  const P = activePredatorCount();
+  _predatorMesh.count = P;
+  if (P === 0) return;
+
+  const terrainSize = { width: 200, depth: 200 };
+  const N = CONFIG.count;
+  for (let k = 0; k < P; k++) {
+    const p = _predPos[k];
+    const v = _predVel[k];
+    _predDigest[k] = Math.max(0, _predDigest[k] - dt);
+
+    // 사냥감 찾기 (소화 중이면 배회)
+    let target = -1;
+    if (_predDigest[k] <= 0) {
+      let bestD2 = Infinity;
+      for (let i = 0; i < N; i++) {
+        const st = _states[i];
+        if (st === STATE_DEAD || st === STATE_DYING) continue;
+        const reach = predatorParams.huntRadius * (1 - predatorParams.camouflage * (_camouflage[i] ?? 0));
+        const dx = _pos[i].x - p.x;
+        const dz = _pos[i].z - p.z;
+        const d2 = dx * dx + dz * dz;
+        if (d2 < reach * reach && d2 < bestD2) {
+          bestD2 = d2;
+          target = i;
+        }
+      }
+    }
+    _predTarget[k] = target;
+
+    if (target >= 0) {
+      const steer = _tmpSteer
+        .set(_pos[target].x - p.x, 0, _pos[target].z - p.z)
+        .normalize()
+        .multiplyScalar(predatorParams.maxSpeed)
+        .sub(v)
+        .clampLength(0, predatorParams.maxForce);
+      v.addScaledVector(steer, dt);
+    } else {
+      v.x += (_rng.random() - 0.5) * 0.6;
+      v.z += (_rng.random() - 0.5) * 0.6;
+    }
+
+    confineToTerrain({ pos: p, vel: v }, terrainSize, CONFIG.boundMargin, CONFIG.boundSteer);
+    followSurface({ pos: p, vel: v }, CONFIG.surfHeightLerp, CONFIG.surfHover, CONFIG.surfSlide);
+    // 배회할 때는 절반 속도로 어슬렁거린다.
+    limitVec3(v, target >= 0 ? predatorParams.maxSpeed : predatorParams.maxSpeed * 0.5);
+    p.addScaledVector(v, dt);
+
+    if (target >= 0 && p.distanceToSquared(_pos[target]) < predatorParams.catchRadius ** 2) {
+      catchBoid(target);
+      _predDigest[k] = predatorParams.digestTime;
+    }
+
+    _tmpEuler.set(0, Math.atan2(v.x, v.z), 0);
+    _tmpQuat.setFromEuler(_tmpEuler);
+    _tmpScale.setScalar(predatorParams.scale);
+    _tmpMatrix.compose(p, _tmpQuat, _tmpScale);
+    _predatorMesh.setMatrixAt(k, _tmpMatrix);
+  }
+  _predatorMesh.instanceMatrix.needsUpdate = true;
+}
+
+// 포획 = 실제 죽음: 바로 죽는 애니메이션, 행동 통계에 기록 (GA는 도태 슬롯으로 처리)
+function catchBoid(i) {
+  _states[i] = STATE_DYING;
+  _deathTimers[i] = 0;
+  _behavior[i].caught = 1;
+  _energy[i] = 0;
+  _catchesTotal++;
+  if (ecologyParams.enabled) _pendingCatches++;
+}
+
+/**
+ * 포식자 현황 (HUD)
+ * - active: 활성 포식자 수, hunting: 추격 중인 수, catches: 누적 포획 수
+ */
+export function getPredatorStats() {
+  const active = activePredatorCount();
+  let hunting = 0;
+  for (let k = 0; k < active; k++) if (_predTarget[k] >= 0) hunting++;
+  return { active, hunting, catches: _catchesTotal };
+}
+
+/* =========================
+ * 에너지 생태 모드
+ * ========================= */
+
+export function getBoidEnergy(index) {
+  return _energy[index] ?? 0;
+}
+
+/**
+ * 에너지 설정 (indices가 없으면 전체)
+ */
+export function setBoidEnergy(indices = null, value = ecologyParams.startEnergy) {
+  const targetIndices = indices ?? Array.from({ length: CONFIG.count }, (_, i) => i);
+  for (const i of targetIndices) {
+    _energy[i] = THREE.MathUtils.clamp(value, 0, ecologyParams.maxEnergy);
+  }
+}
+
+/**
+ * 이번 프레임의 생태 상태
+ * - starved: 에너지가 바닥난 살아있는 개체 (아직 죽는 중이 아님)
+ * - fertile: 번식 가능한 에너지를 가진 살아있는 개체 (에너지 내림차순)
+ * - free: 완전히 죽어서 비어 있는 슬롯
+ * - caught: 지난 호출 이후 포식자에게 잡힌 수 (잡힌 개체는 이미 죽는 중)
+ * - alive: 죽거나 죽어가는 중이 아닌 개체 수, avgEnergy: 그 평균 에너지
+ */
+export function collectEcologyEvents() {
+  const starved = [];
+  const fertile = [];
+  const free = [];
+  let alive = 0;
+  let energySum = 0;
+  for (let i = 0; i < CONFIG.count; i++) {
+    const st = _states[i];
+    if (st === STATE_DEAD) {
+      free.push(i);
+      continue;
+    }
+    if (st === STATE_DYING) continue;
+    alive++;
+    energySum += _energy[i];
+    if (_energy[i] <= 0) starved.push(i);
+    else if (st === STATE_ALIVE && _energy[i] >= ecologyParams.reproduceThreshold) fertile.push(i);
+  }
+  fertile.sort((a, b) => _energy[b] - _energy[a]);
+  const caught = _pendingCatches;
+  _pendingCatches = 0;
+  return { starved, fertile, free, caught, alive, avgEnergy: alive > 0 ? energySum / alive : 0 };
+}
+
 /**
  * GA 선택 결과를 기반으로 생존자/도태된 개체의 상태를 표시한다.
  * - survivors: 살아남은 인덱스
@@ -839,9 +1711,13 @@ export function markSelection(survivors, doomed, deathDuration = 2.0) {
 
   for (let i = 0; i < N; i++) {
     if (doomed.includes(i)) {
+      // 이미 죽은 개체(포식자에게 잡힘 등)는 죽는 애니메이션을 다시 틀지 않는다.
+      if (_states[i] === STATE_DEAD) continue;
       _states[i] = STATE_DYING;
       _deathTimers[i] = 0;
     } else if (survivors.includes(i)) {
+      // 죽었거나 죽는 중인 개체는 생존자 목록에 있어도 되살리지 않는다.
+      if (_states[i] === STATE_DEAD || _states[i] === STATE_DYING) continue;
       _states[i] = STATE_ALIVE;
       _deathTimers[i] = 0;
     }
@@ -852,13 +1728,21 @@ export function markSelection(survivors, doomed, deathDuration = 2.0) {
  * 새로운 세대의 Genome을 특정 인덱스들에만 적용한다.
  * - population[i]는 i번째 boid에 대응하는 genome
  * - indices가 없으면 전체에 적용
+ * - restore: 저장된 population을 불러올 때 사용.
+ *   죽었거나 죽어가는 개체도 되살리고(newborn 애니메이션), 행동 통계를 리셋한다.
  */
-export function applyPopulationGenomes(population, indices = null) {
+export function applyPopulationGenomes(population, indices = null, { restore = false } = {}) {
   const N = CONFIG.count;
   const targetIndices = indices ?? Array.from({ length: N }, (_, i) => i);
   for (const i of targetIndices) {
     if (!population[i]) continue;
     applyGenomeToBoid(i, population[i]);
+    if (restore) {
+      _states[i] = STATE_NEWBORN;
+      _deathTimers[i] = 0;
+      _newbornTimers[i] = 0;
+      _behavior[i] = createEmptyBehavior();
+    }
   }
 }
 
@@ -883,7 +1767,8 @@ export function markNewborn(indices, newbornDuration = 1.0) {
 const MAX_TRAIL_VIS_VALUE = 1.0; // 경험적으로 조정
 
 // 보이드 주변의 trail 강도를 0~1로 정규화해서 반환하는 함수
-function getTrailStrengthAt(pos) {
+// (plants.js도 식물 주변 방문량 측정에 사용)
+export function getTrailStrengthAt(pos) {
   if (!pos) return 0.0;
   const raw = sampleTrail(pos.x, pos.z);
   let norm = raw / MAX_TRAIL_VIS_VALUE;
@@ -907,15 +1792,68 @@ function worldToTrailIndex(x, z) {
   return ix + iz * TRAIL_GRID_SIZE;
 }
 
+// 월드 좌표 한 축 → 격자 칸 번호 (worldToTrailIndex와 같은 매핑)
+function trailCellCoord(x) {
+  const u = (x + BOUND_RADIUS) / (BOUND_RADIUS * 2);
+  return Math.floor(THREE.MathUtils.clamp(u, 0, 0.999) * TRAIL_GRID_SIZE);
+}
+
+/**
+ * 살아있는 개체들을 trail 격자 칸에 담는다 (프레임마다 재구성, 할당 없음)
+ */
+function buildNeighborGrid(N) {
+  if (_cellItems.length < N) {
+    _cellItems = new Int32Array(N);
+    _boidCell = new Int32Array(N);
+  }
+  const cellCount = TRAIL_GRID_SIZE * TRAIL_GRID_SIZE;
+  let placed = 0;
+  _cellStart.fill(0);
+  for (let i = 0; i < N; i++) {
+    if (_states[i] === STATE_DEAD) {
+      _boidCell[i] = -1;
+      continue;
+    }
+    const cell = worldToTrailIndex(_pos[i].x, _pos[i].z);
+    _boidCell[i] = cell;
+    _cellStart[cell + 1]++;
+    placed++;
+  }
+  // 누적합: _cellStart[c + 1] = 칸 c의 끝 (exclusive)
+  for (let c = 0; c < cellCount; c++) {
+    _cellStart[c + 1] += _cellStart[c];
+  }
+  // 끝에서부터 거꾸로 채우면 별도 커서 배열 없이 _cellStart[c + 1]이 칸 c의 시작으로 내려온다.
+  for (let i = N - 1; i >= 0; i--) {
+    const cell = _boidCell[i];
+    if (cell < 0) continue;
+    _cellItems[--_cellStart[cell + 1]] = i;
+  }
+  // 한 칸 앞으로 당겨서 _cellStart[c] = 칸 c의 시작, 마지막 칸 뒤에는 전체 개수
+  _cellStart.copyWithin(0, 1);
+  _cellStart[cellCount] = placed;
+}
+
+function recordNeighborQuery(ms, agents, cells, candidates, pairs) {
+  const q = _neighborQuery;
+  q.ms = q.ms > 0 ? q.ms * 0.9 + ms * 0.1 : ms;
+  q.cells = cells;
+  q.candidates = candidates;
+  q.pairs = pairs;
+  q.agents = agents;
+}
+
 function sampleTrail(x, z) {
   const idx = worldToTrailIndex(x, z);
   return trailGrid[idx];
 }
 
-function depositTrail(x, z, amount) {
+function depositTrail(x, z, amount, owner = -1) {
   const idx = worldToTrailIndex(x, z);
   const a = amount != null ? amount : slimeParams.TRAIL_DEPOSIT_AMOUNT;
   trailGrid[idx] += a;
+  if (owner >= 0) trailOwner[idx] = owner;
+  return a;
 }
 
 function decayTrail() {
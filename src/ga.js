@@ -1,9 +1,22 @@
 // ga.js - Genetic Algorithm for Boid Phenotypes in Server Garden
-// - Genome 정의
-// - Fitness 함수 (팔레트/패턴/사이즈/무브먼트)
+// - Genome 정의 (genome.js 스키마 사용)
+// - Fitness 함수 (팔레트/패턴/사이즈/무브먼트) – 이름 붙은 term 레지스트리
 // - Selection / Crossover / Mutation
 // - Population 관리
 
+import { getRandomStream } from "./random.js";
+import {
+    GENOME_SCHEMA,
+    createRandomGenome,
+    cloneGenome,
+    sanitizeGenome,
+    crossoverGenomes,
+    mutateGenome,
+    genomeDistance,
+    measureDiversity,
+} from "./genome.js";
+import { measureFamilyPattern, measureGenomePattern } from "./reaction-diffusion.js";
+
 /* =========================
  * 상수 정의 (세계관 기반)
  * ========================= */
@@ -15,9 +28,11 @@ export const PALETTE_GOOD_VAL_MIN = 0.55; // 너무 어둡지 않게
 export const PALETTE_GOOD_VAL_MAX = 0.8;
 
 // Pattern (무늬) – Reaction-Diffusion 메타데이터 (좋은 범위도 살짝 좁게)
-export const PATTERN_GOOD_SPOTCOUNT_MIN = 30;
-export const PATTERN_GOOD_SPOTCOUNT_MAX = 70;
-export const PATTERN_GOOD_SPOTSIZE_MIN = 4;
+// 단위는 개체 스킨(64×64) 한 장에서 잰 값: 점 개수 / 점 등가 지름(px)
+// 무작위 genome 스킨의 중앙값 A 28/6.6, B 53/4.9, C 20/8.3, D 12/13.2, E 17/8.4 (계열 안에서도 유전자에 따라 퍼진다)
+export const PATTERN_GOOD_SPOTCOUNT_MIN = 20;
+export const PATTERN_GOOD_SPOTCOUNT_MAX = 45;
+export const PATTERN_GOOD_SPOTSIZE_MIN = 5;
 export const PATTERN_GOOD_SPOTSIZE_MAX = 8;
 
 // Movement (움직임) – 속도/쇼오프 선호 범위 (중간값 중심으로)
@@ -30,29 +45,212 @@ export const MOVEMENT_GOOD_SHOWOFF_MAX = 0.65;
 export const SIZE_GOOD_MIN = 0.8;
 export const SIZE_GOOD_MAX = 1.4;
 
+/* =========================
+ * 환경 의존 fitness 범위
+ * ========================= */
+
+// 위 상수들은 "중립 환경"에서의 달콤 지점이다.
+// 정원의 실시간 환경(lsystem.js getEnvironmentState)이 중립을 벗어나면 범위가 이동한다.
+// - 과열(heatLevel ↑): 느리고 차분한 큰 덩어리(C) 선호 → 속도/쇼오프 ↓, spotCount ↓, spotSize ↑
+// - 전류 잡음(electricNoise ↑): 조밀한 미세 점무늬(B) 선호 → spotCount ↑, spotSize ↓, 쇼오프 ↑
+// - 장기 정적(idleCycles ↑): 움직임이 잦아들어 속도/쇼오프 ↓ (약하게)
+// 중립 값은 식물 생성 기본 환경과 같다. (H/E/I 키로 올리면 몇 세대에 걸쳐 진화 방향이 바뀐다)
+export const ENV_NEUTRAL = { heatLevel: 0.3, electricNoise: 0.2, idleCycles: 0 };
+
+export const DEFAULT_FITNESS_RANGES = {
+    hue: [PALETTE_GOOD_HUE_MIN, PALETTE_GOOD_HUE_MAX],
+    value: [PALETTE_GOOD_VAL_MIN, PALETTE_GOOD_VAL_MAX],
+    spotCount: [PATTERN_GOOD_SPOTCOUNT_MIN, PATTERN_GOOD_SPOTCOUNT_MAX],
+    spotSize: [PATTERN_GOOD_SPOTSIZE_MIN, PATTERN_GOOD_SPOTSIZE_MAX],
+    speed: [MOVEMENT_GOOD_SPEED_MIN, MOVEMENT_GOOD_SPEED_MAX],
+    showOff: [MOVEMENT_GOOD_SHOWOFF_MIN, MOVEMENT_GOOD_SHOWOFF_MAX],
+    bodyScale: [SIZE_GOOD_MIN, SIZE_GOOD_MAX],
+};
+
+/**
+ * 환경 → fitness 달콤 지점 범위
+ * @param {{heatLevel?: number, electricNoise?: number, idleCycles?: number}} [env]
+ * @param {number} [coupling=1] - 환경 영향 배수 (0이면 항상 기본 범위)
+ * @returns {Object<string, [number, number]>}
+ */
+export function computeFitnessRanges(env = ENV_NEUTRAL, coupling = 1.0) {
+    // 중립 대비 초과분만 0~1로 (식을수록 기본 범위로 돌아온다)
+    const heat = clamp01(((env.heatLevel ?? ENV_NEUTRAL.heatLevel) - ENV_NEUTRAL.heatLevel) / (1 - ENV_NEUTRAL.heatLevel)) * coupling;
+    const noise = clamp01(((env.electricNoise ?? ENV_NEUTRAL.electricNoise) - ENV_NEUTRAL.electricNoise) / (1 - ENV_NEUTRAL.electricNoise)) * coupling;
+    const idle = clamp01((env.idleCycles ?? 0) / 20) * coupling;
+
+    const shift = ([min, max], dMin, dMax = dMin) => {
+        const lo = min + dMin;
+        const hi = max + dMax;
+        return lo <= hi ? [lo, hi] : [hi, lo];
+    };
+
+    const r = DEFAULT_FITNESS_RANGES;
+    return {
+        hue: r.hue.slice(),
+        value: r.value.slice(),
+        // 과열: 17~32개, 지름 7~10px 큰 덩어리(C, 덩어리가 이어진 D는 벗어남) / 잡음: 45~90개, 지름 3.5~5.2px 미세 점(B)
+        spotCount: shift(r.spotCount, -3 * heat + 25 * noise, -13 * heat + 45 * noise),
+        spotSize: shift(r.spotSize, 2 * heat - 1.5 * noise, 2 * heat - 2.8 * noise),
+        speed: shift(r.speed, -0.35 * heat - 0.1 * idle),
+        showOff: shift(r.showOff, -0.25 * heat + 0.3 * noise - 0.1 * idle),
+        bodyScale: shift(r.bodyScale, 0.2 * heat),
+    };
+}
+
 // RD 패턴 메타데이터 (A~E)
 // - 시각적으로 명확히 다른 5종이라는 가정 하에,
 //   역할/성향도 구분해서 GA가 서로 다른 niche 를 찾도록 한다.
+// - spotCount / spotSize는 계열 기본 파라미터로 생성한 Gray-Scott 무늬에서 잰 값
+//   (reaction-diffusion.js, 계열당 한 번 시뮬레이션하고 계속 보관)
+function rdPatternEntry(id, name, roughness, type) {
+    return {
+        id,
+        name,
+        get spotCount() {
+            return measureFamilyPattern(id).spotCount;
+        },
+        get spotSize() {
+            return measureFamilyPattern(id).spotSize;
+        },
+        roughness,
+        type,
+    };
+}
+
 export const RD_PATTERN_TABLE = [
     // patternId 0 → A : 느슨한 점무늬, 중간 복잡도, 부드러운 안정형
-    { id: 0, name: "A", spotCount: 28, spotSize: 5, roughness: 0.25, type: "soft_spots" },
+    rdPatternEntry(0, "A", 0.25, "soft_spots"),
     // patternId 1 → B : 매우 조밀한 미세 점무늬, 노이즈 흡수 강한 타입
-    { id: 1, name: "B", spotCount: 80, spotSize: 3, roughness: 0.7, type: "micro_spots" },
+    rdPatternEntry(1, "B", 0.7, "micro_spots"),
     // patternId 2 → C : 큰 덩어리 패턴, 묵직하고 느린 열 저장형
-    { id: 2, name: "C", spotCount: 20, spotSize: 9, roughness: 0.45, type: "blobs" },
+    rdPatternEntry(2, "C", 0.45, "blobs"),
     // patternId 3 → D : 가는 줄무늬 위주, 방향성이 강하고 고속 이동에 유리
-    { id: 3, name: "D", spotCount: 65, spotSize: 4, roughness: 0.8, type: "fine_stripes" },
+    rdPatternEntry(3, "D", 0.8, "fine_stripes"),
     // patternId 4 → E : 점 + 줄무늬 혼합, 다목적 하이브리드
-    { id: 4, name: "E", spotCount: 40, spotSize: 6, roughness: 0.55, type: "hybrid" },
+    rdPatternEntry(4, "E", 0.55, "hybrid"),
 ];
 
-// RD 텍스처 파일 경로 (boids.js에서 로딩용으로도 사용 가능)
-export const RD_TEXTURE_PATHS = [
-    "./assets/textures/rd_pattern.png", // patternId 0
-    "./assets/textures/rd_pattern2.png", // patternId 1
-    "./assets/textures/rd_pattern3.png", // patternId 2
-    "./assets/textures/rd_pattern4.png", // patternId 3
-    "./assets/textures/rd_pattern5.png", // patternId 4
+/* =========================
+ * Fitness Term 라이브러리
+ * ========================= */
+
+// 이름 붙은 fitness term 정의
+// - kind "score": 0~1 점수, 활성 score term들의 weight로 가중 평균된다.
+// - kind "bonus": 가중 평균 뒤에 weight만큼 그대로 더해진다. (시너지 등)
+// - fn(genome, ga, index) → number | null (null이면 이번 평가에서 제외, weight도 합산 안 함)
+// GA 인스턴스마다 이 정의를 복사해서 활성 term 목록을 만들고,
+// lil-gui에서 추가/제거/가중치 조정을 한다.
+export const FITNESS_TERM_LIBRARY = {
+    palette: { kind: "score", weight: 0.2, fn: (g, ga) => ga._paletteScore(g) },
+    pattern: { kind: "score", weight: 0.35, fn: (g, ga) => ga._patternScore(g) },
+    size: { kind: "score", weight: 0.2, fn: (g, ga) => ga._sizeScore(g) },
+    movement: { kind: "score", weight: 0.25, fn: (g, ga) => ga._movementScore(g) },
+    synergy: { kind: "bonus", weight: 1.0, fn: (g, ga) => ga._synergyBonus(g) },
+    // 행동 기반 term: boids.js가 세대 창 동안 측정한 개체별 통계 (population 최대값 기준 0~1)
+    trail: { kind: "score", weight: 0.15, fn: (g, ga, i) => ga._behaviorScore(i, "trailFollowed") },
+    social: { kind: "score", weight: 0.1, fn: (g, ga, i) => ga._behaviorScore(i, "avgNeighbors") },
+    forage: { kind: "score", weight: 0.1, fn: (g, ga, i) => ga._behaviorScore(i, "nutrientTime") },
+    explore: { kind: "score", weight: 0.15, fn: (g, ga, i) => ga._behaviorScore(i, "distance") },
+    // 포식자 생존: 살아 있던 시간 비율 (이번 창에 잡힌 개체가 없으면 정보 없음 → 제외)
+    survival: { kind: "score", weight: 0.2, fn: (g, ga, i) => ga._survivalScore(i) },
+};
+
+export const DEFAULT_FITNESS_TERMS = [
+    "palette",
+    "pattern",
+    "size",
+    "movement",
+    "synergy",
+    "trail",
+    "social",
+    "forage",
+    "explore",
+    "survival",
+];
+
+// 행동 score term이 population 최대값으로 정규화하는 통계 (개체마다 달라야 의미가 있다)
+const SPREAD_CHECKED_STATS = ["trailFollowed", "avgNeighbors", "nutrientTime", "distance"];
+
+// 행동 통계 키 (boids.js getBoidBehaviorStats()와 동일)
+// - likes: 관람객 클릭 "좋아요" 수 (interactive evolution, term이 아니라 likeWeight로 블렌딩)
+// - survivalTime / caught: 포식자에게 잡히기까지 산 시간, 잡혔으면 1 (잡힌 개체는 생존자가 될 수 없다)
+export const BEHAVIOR_STAT_KEYS = [
+    "trailFollowed",
+    "avgNeighbors",
+    "nutrientTime",
+    "distance",
+    "likes",
+    "survivalTime",
+    "caught",
+];
+
+/* =========================
+ * Selection 전략
+ * ========================= */
+
+// 부모 선택
+// - tournament: k개 무작위 추출 중 최고 (k = tournamentSize)
+// - roulette: fitness 비례 확률
+// - rank: 선형 순위 확률 (rankPressure 1~2, 클수록 상위 편애)
+// - truncation: 상위 truncationRate 비율 안에서 균등 추출
+export const PARENT_SELECTION_STRATEGIES = ["tournament", "roulette", "rank", "truncation"];
+
+// 생존자 선택
+// - elitist: fitness 순 상위 N 그대로 (기존 동작)
+// - stochastic: fitness 비례 확률로 비복원 추출
+// - tournament: 남은 개체 중 토너먼트를 반복해 비복원 추출
+export const SURVIVOR_SELECTION_STRATEGIES = ["elitist", "stochastic", "tournament"];
+
+// Speciation (niching) – 종(species)은 patternId 기준
+// - off: 사용 안 함
+// - sharing: fitness sharing (genome 거리 sharingRadius 안의 개체 수로 fitness를 나눔)
+// - buckets: 종 버킷별 최소 인원 보호만 사용
+// sharing / buckets 둘 다 minSpeciesSize 보호가 적용된다.
+export const SPECIATION_MODES = ["off", "sharing", "buckets"];
+
+// 짝짓기(mating) 방식
+// - global: 위치와 무관하게 전체 population에서 parentSelection으로 부모 선택
+// - spatial: 세대 창 동안 실제로 만난(neighborRadius 안) 생존자끼리만 교배, 만남이 없으면 global로 대체
+export const MATING_MODES = ["global", "spatial"];
+
+// per-generation 기록 최대 개수
+const HISTORY_LIMIT = 1000;
+
+// 계보(lineage) 저장소에 남겨 둘 세대 수 (현재 population 개체는 항상 유지)
+const LINEAGE_KEEP_GENERATIONS = 200;
+
+// 저장 포맷 식별자 / 버전 (exportState / importState)
+// - v2: genome id / parentIds + lineage 저장소
+export const GA_STATE_FORMAT = "server-garden-ga";
+export const GA_STATE_VERSION = 2;
+
+// importState()가 options에서 복원하는 필드 (populationSize는 boid 수에 묶여 있어서 제외)
+const GA_RESTORABLE_OPTIONS = [
+    "survivalRate",
+    "mutationRate",
+    "crossoverRate",
+    "mode",
+    "parentSelection",
+    "tournamentSize",
+    "rankPressure",
+    "truncationRate",
+    "survivorSelection",
+    "speciation",
+    "sharingRadius",
+    "minSpeciesSize",
+    "likeWeight",
+    "matingMode",
+    "adaptiveMutation",
+    "diversityTarget",
+    "mutationRateMin",
+    "mutationRateMax",
+    "environmentCoupling",
+    "hallOfFameSize",
+    "hallOfFameMinDistance",
+    "autoReintroduce",
+    "reintroducePatience",
+    "reintroduceCount",
 ];
 
 /* =========================
@@ -67,14 +265,6 @@ function inRange(v, min, max) {
     return v >= min && v <= max;
 }
 
-function randFloat(min, max) {
-    return min + Math.random() * (max - min);
-}
-
-function randInt(min, maxInclusive) {
-    return Math.floor(min + Math.random() * (maxInclusive + 1 - min));
-}
-
 /* =========================
  * GeneticAlgorithm 클래스
  * ========================= */
@@ -87,20 +277,130 @@ export class GeneticAlgorithm {
      * @param {number} [opts.mutationRate=0.15]
      * @param {number} [opts.crossoverRate=1.0]
      * @param {number[]} [opts.slotPatternIds] - 인덱스별 초기 patternId 고정 분포
+     * @param {object} [opts.rng] - 난수 스트림 (기본: random.js의 "ga" 스트림)
+     * @param {object} [opts.schema] - Genome 스키마 (기본: genome.js GENOME_SCHEMA)
+     * @param {string[]} [opts.fitnessTerms] - 활성 fitness term 이름 (FITNESS_TERM_LIBRARY 기준)
+     * @param {string[]} [opts.behaviorKeys] - evaluatePopulation(behaviorStats)의 통계 키 (기본 BEHAVIOR_STAT_KEYS)
+     * @param {"scalar"|"pareto"} [opts.mode="scalar"] - 단일 점수 / 다목적(NSGA-II) 선택
+     * @param {string} [opts.parentSelection="tournament"] - PARENT_SELECTION_STRATEGIES 중 하나
+     * @param {number} [opts.tournamentSize=3]
+     * @param {number} [opts.rankPressure=1.5] - rank 선택 압력 (1~2)
+     * @param {number} [opts.truncationRate=0.5] - truncation 선택 시 부모 후보 비율
+     * @param {string} [opts.survivorSelection="elitist"] - SURVIVOR_SELECTION_STRATEGIES 중 하나
+     * @param {string} [opts.speciation="off"] - SPECIATION_MODES 중 하나
+     * @param {number} [opts.sharingRadius=0.3] - fitness sharing 거리 반경 (genomeDistance 기준 0~1)
+     * @param {number} [opts.minSpeciesSize=2] - 종별 최소 보호 인원
+     * @param {number} [opts.likeWeight=0.5] - 관람객 좋아요 점수 블렌딩 비율 (0: 계산 점수만, 1: 좋아요만)
+     * @param {string} [opts.matingMode="global"] - MATING_MODES 중 하나
+     * @param {boolean} [opts.adaptiveMutation=false] - 다양성/fitness 추세에 따라 변이율 자동 조절
+     * @param {number} [opts.diversityTarget=0.35] - 이 값보다 다양성이 낮으면 변이를 키운다 (measureDiversity overall)
+     * @param {number} [opts.mutationRateMin=0.05]
+     * @param {number} [opts.mutationRateMax=0.6]
+     * @param {number} [opts.environmentCoupling=1] - 환경이 fitness 범위를 움직이는 정도 (0: 고정 범위)
+     * @param {number} [opts.hallOfFameSize=10] - 역대 최고 개체 보관 수
+     * @param {number} [opts.hallOfFameMinDistance=0.05] - 보관 개체끼리 최소 genome 거리 (비슷하면 더 좋은 쪽만)
+     * @param {boolean} [opts.autoReintroduce=false] - 최고 fitness가 보관소 최고보다 낮은 세대가 이어지면 자동 재투입
+     * @param {number} [opts.reintroducePatience=5] - 자동 재투입까지 기다릴 세대 수 (K)
+     * @param {number} [opts.reintroduceCount=2] - 한 번에 재투입할 보관 개체 수
+     * @param {GeneticAlgorithm} [opts.lineageHost] - 계보/id를 대신 관리할 GA (island model에서 공유)
      */
     constructor(opts = {}) {
         this.populationSize = opts.populationSize ?? 40;
         this.survivalRate = opts.survivalRate ?? 0.3;   // 상위 30%만 강하게 생존
         this.mutationRate = opts.mutationRate ?? 0.3;   // 변화량을 더 크게
         this.crossoverRate = opts.crossoverRate ?? 1.0;
+        this.rng = opts.rng ?? getRandomStream("ga");
+        this.schema = opts.schema ?? GENOME_SCHEMA;
+        // 행동 통계 키 (정규화 최대값 계산 대상, 식물 GA처럼 다른 개체군이면 교체)
+        this.behaviorKeys = opts.behaviorKeys ?? BEHAVIOR_STAT_KEYS;
+        this.mode = opts.mode ?? "scalar";
+
+        // Selection 전략 (런타임 교체 가능)
+        this.parentSelection = opts.parentSelection ?? "tournament";
+        this.tournamentSize = opts.tournamentSize ?? 3;
+        this.rankPressure = opts.rankPressure ?? 1.5;
+        this.truncationRate = opts.truncationRate ?? 0.5;
+        this.survivorSelection = opts.survivorSelection ?? "elitist";
+
+        // Speciation (patternId 종 + genome 거리)
+        this.speciation = opts.speciation ?? "off";
+        this.sharingRadius = opts.sharingRadius ?? 0.3;
+        this.minSpeciesSize = opts.minSpeciesSize ?? 2;
+
+        // Interactive (aesthetic) evolution: 좋아요 점수 블렌딩 비율
+        this.likeWeight = opts.likeWeight ?? 0.5;
+
+        // Spatial mating: 개체 쌍별 만남 시간 (boids.js getBoidEncounters 형식, setEncounters로 주입)
+        this.matingMode = opts.matingMode ?? "global";
+        this.encounters = null;
+        // 마지막 nextGeneration의 슬롯별 부모 인덱스 { slot: [a, b] } (새 개체 배치용)
+        this.lastMatings = {};
+
+        // Adaptive mutation: mutationRate는 기준값, 실제 변이는 effectiveMutationRate / mutationStrength 사용
+        this.adaptiveMutation = opts.adaptiveMutation ?? false;
+        this.diversityTarget = opts.diversityTarget ?? 0.35;
+        this.mutationRateMin = opts.mutationRateMin ?? 0.05;
+        this.mutationRateMax = opts.mutationRateMax ?? 0.6;
+        this.effectiveMutationRate = this.mutationRate;
+        this.mutationStrength = 1.0;
+        // 마지막 평가 시점의 다양성 (measureDiversity 결과)
+        this.lastDiversity = null;
 
         this.slotPatternIds =
             opts.slotPatternIds ?? this._createDefaultSlotPatternIds(this.populationSize);
 
+        // 활성 fitness term 레지스트리 (name → { kind, weight, fn })
+        this.fitnessTerms = new Map();
+        for (const name of opts.fitnessTerms ?? DEFAULT_FITNESS_TERMS) {
+            this.addFitnessTerm(name);
+        }
+
         this.population = [];
         this.fitness = [];
         this.generation = 0;
 
+        // 선택에 실제로 쓰는 fitness (sharing 모드면 공유 fitness, 아니면 fitness와 같음)
+        this.selectionFitness = [];
+        // 마지막 평가의 종별 요약 [{ id, name, count, bestFitness }]
+        this.lastSpecies = [];
+
+        // term별 기여도 (마지막 평가 기준, population 평균)
+        this.lastTermContributions = {};
+
+        // pareto 모드 마지막 평가 결과 { names, values, ranks, crowding, frontCount }
+        this.lastPareto = null;
+
+        // 세대별 통계 기록 (evaluatePopulation마다 1개)
+        this.history = [];
+
+        // 계보 저장소: genome id → { id, parentIds, genId, genome, fitness }
+        // - id는 태어날 때 한 번 붙고, 생존자 복제 시 그대로 유지된다.
+        this.lineage = new Map();
+        this.nextGenomeId = 1;
+        this.lineageHost = opts.lineageHost ?? null;
+
+        // Hall of fame: 세대를 넘어 보관하는 서로 다른 최고 개체들 (fitness 내림차순)
+        // - entry: { id, genId, generation, fitness, genome }
+        this.hallOfFameSize = opts.hallOfFameSize ?? 10;
+        this.hallOfFameMinDistance = opts.hallOfFameMinDistance ?? 0.05;
+        this.autoReintroduce = opts.autoReintroduce ?? false;
+        this.reintroducePatience = opts.reintroducePatience ?? 5;
+        this.reintroduceCount = opts.reintroduceCount ?? 2;
+        this.hallOfFame = [];
+        // 최고 fitness가 보관소 최고에 못 미친 연속 세대 수
+        this.stagnantGenerations = 0;
+        // 마지막 재투입 기록 { generation, slots, ids } (없으면 null)
+        this.lastReintroduction = null;
+
+        // 환경 의존 fitness 범위 (setEnvironment로 갱신)
+        this.environmentCoupling = opts.environmentCoupling ?? 1.0;
+        this.environment = { ...ENV_NEUTRAL };
+        this.fitnessRanges = computeFitnessRanges(this.environment, this.environmentCoupling);
+
+        // 행동 통계 (evaluatePopulation 호출 시 주입, 없으면 행동 term은 제외)
+        this.behaviorStats = null;
+        this._behaviorMax = {};
+
         this.lastSortedIndices = [];
         this.lastSurvivors = [];
         this.lastDoomed = [];
@@ -122,19 +422,13 @@ export class GeneticAlgorithm {
      * @param {number} index - 개체 인덱스 (slotPatternIds용)
      */
     createRandomGenome(index = 0) {
-        const patternId = this.slotPatternIds[index] ?? randInt(0, 4);
-
-        const g = {
-            // 처음에는 비교적 넓지만 서버 톤 근처에서 시작
-            hue: randFloat(150, 230),
-            value: randFloat(0.3, 0.95),
-            patternId,
-            // 크기/속도/쇼오프는 제법 넓은 범위로 시작 (세대가 지나며 정돈됨)
-            bodyScale: randFloat(0.5, 2.0),
-            baseSpeed: randFloat(0.5, 1.8),
-            showOff: randFloat(0.0, 1.2),
-            genId: 0, // 0세대에서 시작
-        };
+        // 초기 분포는 GENOME_SCHEMA, patternId만 슬롯 분포로 고정
+        const overrides = {};
+        if (this.slotPatternIds[index] != null) overrides.patternId = this.slotPatternIds[index];
+
+        const g = createRandomGenome(this.rng, overrides, this.schema);
+        g.genId = 0; // 0세대에서 시작
+        this._registerGenome(g, []);
         return g;
     }
 
@@ -142,6 +436,7 @@ export class GeneticAlgorithm {
      * 초기 개체군 생성
      */
     initPopulation() {
+        this.lineage.clear();
         this.population = [];
         for (let i = 0; i < this.populationSize; i++) {
             this.population.push(this.createRandomGenome(i));
@@ -158,38 +453,54 @@ export class GeneticAlgorithm {
         return this.population;
     }
 
+    /* ========== 환경 ========== */
+
+    /**
+     * 정원 환경 반영 (다음 evaluatePopulation부터 적용)
+     * @param {{heatLevel?: number, electricNoise?: number, idleCycles?: number}} env
+     */
+    setEnvironment(env = ENV_NEUTRAL) {
+        this.environment = { ...ENV_NEUTRAL, ...env };
+        this.fitnessRanges = computeFitnessRanges(this.environment, this.environmentCoupling);
+        return this.fitnessRanges;
+    }
+
     /* ========== Score 함수 ========== */
 
     _paletteScore(g) {
+        const r = this.fitnessRanges;
         const h = g.hue;
         const v = g.value;
         let s = 0;
-        if (inRange(h, PALETTE_GOOD_HUE_MIN, PALETTE_GOOD_HUE_MAX)) s += 0.5;
-        if (inRange(v, PALETTE_GOOD_VAL_MIN, PALETTE_GOOD_VAL_MAX)) s += 0.5;
+        if (inRange(h, r.hue[0], r.hue[1])) s += 0.5;
+        if (inRange(v, r.value[0], r.value[1])) s += 0.5;
         return s; // 0 / 0.5 / 1
     }
 
     _patternScore(g) {
-        const meta = RD_PATTERN_TABLE[g.patternId] ?? RD_PATTERN_TABLE[0];
-        const cnt = meta.spotCount;
-        const sz = meta.spotSize;
+        const r = this.fitnessRanges;
+        // 개체 자신의 스킨(계열 + feed/kill/확산 유전자)에서 잰 값
+        // - 브라우저에서는 boids.js가 세대 창 동안 같은 스킨을 만들어 캐시에 넣어 두므로 보통 바로 나온다.
+        const { spotCount: cnt, spotSize: sz } = measureGenomePattern(g);
         let s = 0;
-        if (inRange(cnt, PATTERN_GOOD_SPOTCOUNT_MIN, PATTERN_GOOD_SPOTCOUNT_MAX)) s += 0.5;
-        if (inRange(sz, PATTERN_GOOD_SPOTSIZE_MIN, PATTERN_GOOD_SPOTSIZE_MAX)) s += 0.5;
+        if (inRange(cnt, r.spotCount[0], r.spotCount[1])) s += 0.5;
+        if (inRange(sz, r.spotSize[0], r.spotSize[1])) s += 0.5;
         return s; // 0 / 0.5 / 1
     }
 
     _sizeScore(g) {
+        const r = this.fitnessRanges;
         const b = g.bodyScale;
-        return inRange(b, SIZE_GOOD_MIN, SIZE_GOOD_MAX) ? 1.0 : 0.0;
+        return inRange(b, r.bodyScale[0], r.bodyScale[1]) ? 1.0 : 0.0;
     }
 
     _movementScore(g) {
+        const r = this.fitnessRanges;
         const sp = g.baseSpeed;
         const sh = g.showOff;
         let s = 0;
-        if (inRange(sp, MOVEMENT_GOOD_SPEED_MIN, MOVEMENT_GOOD_SPEED_MAX)) s += 0.5;
-        if (inRange(sh, MOVEMENT_GOOD_SHOWOFF_MIN, MOVEMENT_GOOD_SHOWOFF_MAX)) s += 0.5;
+        if (inRange(sp, r.speed[0], r.speed[1])) s += 0.5;
+        if (inRange(sh, r.showOff[0], r.showOff[1])) s += 0.5;
         return s; // 0 / 0.5 / 1
     }
 
@@ -224,29 +535,135 @@ export class GeneticAlgorithm {
         return bonus;
     }
 
+    /**
+     * 행동 통계 점수 (0~1)
+     * - population 내 최대값 대비 비율
+     * - 통계가 없거나 모두 0이면 null (정보 없음 → term 제외)
+     */
+    _behaviorScore(index, key) {
+        const st = this.behaviorStats?.[index];
+        const max = this._behaviorMax[key];
+        if (!st || !(max > 0)) return null;
+        const v = st[key];
+        return typeof v === "number" ? clamp01(v / max) : null;
+    }
+
+    /**
+     * 포식자 생존 점수 (0~1)
+     * - 누군가 잡혔을 때만 의미가 있다. (모두 살아남은 창에서는 null → term 제외)
+     */
+    _survivalScore(index) {
+        if (!(this._behaviorMax.caught > 0)) return null;
+        return this._behaviorScore(index, "survivalTime");
+    }
+
+    /**
+     * 포식자에게 잡힌 개체를 생존자에서 뺀다. (fitness와 무관한 실제 죽음 → 도태 슬롯)
+     * - 생존자가 모두 잡혔다면 잡히지 않은 도태 후보에서 순위대로 같은 수만큼 뽑는다.
+     * - 모두 잡혔으면 생존자 없이 전 슬롯을 다시 채운다. (부모는 fitness로 전체에서 고르므로 유전자 풀은 남는다)
+     * @param {number[]} survivors - 선택된 생존자
+     * @param {number[]} ranked - 좋은 순 정렬 인덱스
+     */
+    _removeCaught(survivors, ranked) {
+        if (!this.behaviorStats) return survivors;
+        const uncaught = (i) => !(this.behaviorStats[i]?.caught > 0);
+        const alive = survivors.filter(uncaught);
+        if (alive.length > 0) return alive;
+        const picked = new Set(survivors);
+        return ranked.filter((i) => !picked.has(i) && uncaught(i)).slice(0, survivors.length);
+    }
+
+    /* ========== Fitness Term 레지스트리 ========== */
+
+    /**
+     * fitness term 추가 (같은 이름이 있으면 교체)
+     * @param {string} name
+     * @param {object} [def] - { kind, weight, fn } (생략하면 FITNESS_TERM_LIBRARY에서 찾는다)
+     */
+    addFitnessTerm(name, def = null) {
+        const base = def ?? FITNESS_TERM_LIBRARY[name];
+        if (!base || typeof base.fn !== "function") {
+            throw new Error(`[GA] 알 수 없는 fitness term: ${name}`);
+        }
+        this.fitnessTerms.set(name, {
+            kind: base.kind ?? "score",
+            weight: base.weight ?? 1.0,
+            fn: base.fn,
+        });
+        return this.fitnessTerms.get(name);
+    }
+
+    removeFitnessTerm(name) {
+        return this.fitnessTerms.delete(name);
+    }
+
+    setFitnessWeight(name, weight) {
+        const term = this.fitnessTerms.get(name);
+        if (term) term.weight = weight;
+    }
+
+    getFitnessTermNames() {
+        return Array.from(this.fitnessTerms.keys());
+    }
+
+    /**
+     * 단일 Genome의 term별 원점수 (가중치 적용 전)
+     */
+    _termValues(g, index) {
+        const values = {};
+        for (const [name, term] of this.fitnessTerms) {
+            values[name] = term.fn(g, this, index);
+        }
+        return values;
+    }
+
+    /**
+     * 단일 Genome의 term별 기여도 계산
+     * - score term: w·s / Σw (가중 평균의 몫)
+     * - bonus term: w·b
+     * - null을 돌려준 term은 기여도 0, Σw에서도 제외
+     */
+    _fitnessBreakdown(g, index, values = this._termValues(g, index)) {
+        let scoreWeightSum = 0;
+        for (const [name, term] of this.fitnessTerms) {
+            if (term.kind === "score" && values[name] != null) scoreWeightSum += term.weight;
+        }
+
+        const out = {};
+        for (const [name, term] of this.fitnessTerms) {
+            const v = values[name];
+            if (v == null) {
+                out[name] = 0;
+            } else if (term.kind === "score") {
+                out[name] = scoreWeightSum > 0 ? (v * term.weight) / scoreWeightSum : 0;
+            } else {
+                out[name] = v * term.weight;
+            }
+        }
+        return out;
+    }
+
     /**
      * 단일 Genome의 최종 fitness 계산
+     * - 가중 평균 + 보너스 합을 0~1로 클램프한 뒤 좋아요 점수와 블렌딩
+     */
+    _fitnessOf(g, index = 0) {
+        const parts = this._fitnessBreakdown(g, index);
+        let raw = 0;
+        for (const name in parts) raw += parts[name];
+        return this._blendLikes(clamp01(raw), index);
+    }
+
+    /**
+     * 관람객 좋아요 블렌딩
+     * - (1 - likeWeight)·계산 점수 + likeWeight·좋아요 점수 (population 최대 좋아요 대비)
+     * - 이번 세대 창에 좋아요가 하나도 없으면 계산 점수 그대로
      */
-    _fitnessOf(g) {
-        const pCol = this._paletteScore(g);
-        const pPat = this._patternScore(g);
-        const pSize = this._sizeScore(g);
-        const pMove = this._movementScore(g);
-        const synergy = this._synergyBonus(g);
-
-        // 가중 평균 + 시너지 보너스
-        const wCol = 0.2;
-        const wPat = 0.35;
-        const wSize = 0.2;
-        const wMove = 0.25;
-        const base =
-            pCol * wCol +
-            pPat * wPat +
-            pSize * wSize +
-            pMove * wMove;
-        const denom = wCol + wPat + wSize + wMove;
-        const raw = base / denom + synergy;
-        return clamp01(raw);
+    _blendLikes(score, index) {
+        const like = this._behaviorScore(index, "likes");
+        if (like == null || !(this.likeWeight > 0)) return score;
+        const w = clamp01(this.likeWeight);
+        return (1 - w) * score + w * like;
     }
 
     /* ========== Evaluation & Selection ========== */
@@ -255,134 +672,790 @@ export class GeneticAlgorithm {
      * 현재 population 전체 평가
      * - fitness 배열 갱신
      * - lastSortedIndices / lastSurvivors / lastDoomed 기록
+     * @param {object[]|null} [behaviorStats] - index별 행동 통계 (boids.js getBoidBehaviorStats())
      */
-    evaluatePopulation() {
+    evaluatePopulation(behaviorStats = null) {
         const N = this.populationSize;
         if (!this.population || this.population.length !== N) {
             throw new Error("[GA] population이 초기화되지 않았습니다. initPopulation()을 먼저 호출하세요.");
         }
 
+        this.behaviorStats = behaviorStats;
+        this._behaviorMax = {};
+        if (behaviorStats) {
+            for (const key of this.behaviorKeys) {
+                let max = 0;
+                let min = Infinity;
+                for (let i = 0; i < N; i++) {
+                    const v = behaviorStats[i]?.[key];
+                    if (typeof v !== "number") continue;
+                    if (v > max) max = v;
+                    if (v < min) min = v;
+                }
+                this._behaviorMax[key] = max;
+                // 행동 term 통계가 모든 개체에서 같으면 그 term은 아무것도 선택하지 않는다. (측정 버그 신호)
+                if (N > 1 && max > 0 && min === max && SPREAD_CHECKED_STATS.includes(key)) {
+                    console.warn(`[GA] 행동 통계 ${key}가 모든 개체에서 같음 (${max}) → 선택 압력 없음`);
+                }
+            }
+        }
+
         this.fitness = new Array(N);
+        const termValues = new Array(N);
+        const contribSums = {};
+        for (const name of this.fitnessTerms.keys()) contribSums[name] = 0;
+        for (let i = 0; i < N; i++) {
+            termValues[i] = this._termValues(this.population[i], i);
+            const parts = this._fitnessBreakdown(this.population[i], i, termValues[i]);
+            let raw = 0;
+            for (const name in parts) {
+                raw += parts[name];
+                contribSums[name] += parts[name];
+            }
+            this.fitness[i] = this._blendLikes(clamp01(raw), i);
+        }
+        for (const name in contribSums) contribSums[name] /= N;
+        this.lastTermContributions = contribSums;
+
+        // 계보 저장소에 최신 fitness 기록
         for (let i = 0; i < N; i++) {
-            this.fitness[i] = this._fitnessOf(this.population[i]);
+            const entry = this.lineage.get(this.population[i].id);
+            if (entry) entry.fitness = this.fitness[i];
+        }
+
+        // speciation: sharing 모드면 niche 안의 개체 수로 fitness를 나눈다.
+        this.selectionFitness = this.speciation === "sharing"
+            ? this._sharedFitness()
+            : this.fitness.slice();
+
+        // pareto 모드: 목적별 점수를 따로 두고 rank / crowding distance 계산
+        this.lastPareto = null;
+        if (this.mode === "pareto") {
+            const objectives = this._computeObjectives(termValues);
+            const { ranks, fronts } = this._nonDominatedSort(objectives.values);
+            const crowding = new Array(N).fill(0);
+            for (const front of fronts) {
+                this._assignCrowdingDistance(front, objectives.values, crowding);
+            }
+            this.lastPareto = { ...objectives, ranks, crowding, frontCount: fronts.length };
         }
 
-        // fitness 내림차순 정렬 인덱스
+        // 좋은 순 정렬 인덱스 (scalar: fitness 내림차순 / pareto: rank → crowding)
         const indices = Array.from({ length: N }, (_, i) => i);
-        indices.sort((a, b) => this.fitness[b] - this.fitness[a]);
+        indices.sort((a, b) => this._compareIndividuals(a, b));
         this.lastSortedIndices = indices;
 
         const survivorCount = Math.max(1, Math.floor(N * this.survivalRate));
-        const survivors = indices.slice(0, survivorCount);
-        const doomed = indices.slice(survivorCount);
+        let survivors = this._selectSurvivors(indices, survivorCount);
+        if (this.speciation !== "off") {
+            survivors = this._protectSpecies(survivors, indices);
+        }
+        survivors = this._removeCaught(survivors, indices);
+        const survivorSet = new Set(survivors);
+        const doomed = indices.filter((i) => !survivorSet.has(i));
         this.lastSurvivors = survivors;
         this.lastDoomed = doomed;
 
+        this.lastSpecies = this._summarizeSpecies();
+
+        this.lastDiversity = measureDiversity(this.population, this.schema);
+
+        const selection = this.getSelectionInfo();
+        this._recordGenerationStats(selection);
+        this._adaptMutation();
+        this._updateHallOfFame();
+
         return {
             fitness: this.fitness,
             sortedIndices: indices,
             survivors,
             doomed,
+            termContributions: contribSums,
+            pareto: this.lastPareto,
+            selection,
+            species: this.lastSpecies,
+            totalLikes: this._totalLikes(),
+            diversity: this.lastDiversity,
+            mutation: this.getMutationInfo(),
+            environment: { ...this.environment },
+            fitnessRanges: this.fitnessRanges,
+            hallOfFame: this.getHallOfFameInfo(),
         };
     }
 
+    /**
+     * 현재 selection 전략 요약 (stats / HUD 기록용)
+     */
+    getSelectionInfo() {
+        return {
+            parent: this.parentSelection,
+            tournamentSize: this.tournamentSize,
+            rankPressure: this.rankPressure,
+            truncationRate: this.truncationRate,
+            survivor: this.survivorSelection,
+            mode: this.mode,
+            speciation: this.speciation,
+            mating: this.matingMode,
+        };
+    }
+
+    /**
+     * 세대별 통계 기록 (this.history)
+     */
+    _recordGenerationStats(selection) {
+        const N = this.fitness.length;
+        let best = -Infinity;
+        let sum = 0;
+        for (const f of this.fitness) {
+            if (f > best) best = f;
+            sum += f;
+        }
+        this.history.push({
+            generation: this.generation,
+            bestFitness: N > 0 ? best : 0,
+            avgFitness: N > 0 ? sum / N : 0,
+            survivorCount: this.lastSurvivors.length,
+            termContributions: { ...this.lastTermContributions },
+            selection,
+            diversity: this.lastDiversity?.overall ?? null,
+            mutationRate: this._currentMutationRate(),
+        });
+        if (this.history.length > HISTORY_LIMIT) this.history.shift();
+    }
+
+    getHistory() {
+        return this.history;
+    }
+
     getLastEvaluationInfo() {
         return {
             fitness: this.fitness,
             sortedIndices: this.lastSortedIndices,
             survivors: this.lastSurvivors,
             doomed: this.lastDoomed,
+            termContributions: this.lastTermContributions,
+            pareto: this.lastPareto,
+            totalLikes: this._totalLikes(),
         };
     }
 
+    // 마지막 평가에 들어온 좋아요 총합
+    _totalLikes() {
+        if (!this.behaviorStats) return 0;
+        let sum = 0;
+        for (const st of this.behaviorStats) sum += st?.likes ?? 0;
+        return sum;
+    }
+
     /**
-     * Tournament selection (작은 크기)
-     * - 기본적으로 상위 개체 쪽에서 더 자주 뽑히게 한다.
+     * 두 개체 비교 (음수면 a가 더 좋음)
+     * - scalar: fitness 내림차순
+     * - pareto: rank 오름차순 → crowding distance 내림차순 (NSGA-II crowded comparison)
+     */
+    _compareIndividuals(a, b) {
+        const pareto = this.lastPareto;
+        if (this.mode === "pareto" && pareto) {
+            const dr = pareto.ranks[a] - pareto.ranks[b];
+            if (dr !== 0) return dr;
+            const ca = pareto.crowding[a];
+            const cb = pareto.crowding[b];
+            if (ca !== cb) return ca > cb ? -1 : 1;
+        }
+        const sel = this.selectionFitness.length ? this.selectionFitness : this.fitness;
+        return sel[b] - sel[a];
+    }
+
+    /**
+     * 부모 1개 선택 (parentSelection 전략에 따라)
+     * - roulette은 scalar fitness, 나머지는 정렬 순서(_compareIndividuals)를 쓰므로
+     *   pareto 모드에서도 rank/crowding 기준으로 동작한다.
      */
     _selectParentIndex() {
-        const N = this.populationSize;
-        const k = 3; // 토너먼트 크기
+        switch (this.parentSelection) {
+            case "roulette":
+                return this._rouletteSelect();
+            case "rank":
+                return this._rankSelect();
+            case "truncation":
+                return this._truncationSelect();
+            case "tournament":
+            default:
+                return this._tournamentSelect(this.population.map((_, i) => i), this.tournamentSize);
+        }
+    }
+
+    /**
+     * Tournament selection
+     * - candidates 중 k개를 복원 추출해서 가장 좋은 개체를 고른다.
+     */
+    _tournamentSelect(candidates, k) {
         let bestIdx = null;
-        let bestFit = -Infinity;
-        for (let i = 0; i < k; i++) {
-            const idx = randInt(0, N - 1);
-            const f = this.fitness[idx];
-            if (f > bestFit) {
-                bestFit = f;
+        const size = Math.max(1, Math.round(k));
+        for (let i = 0; i < size; i++) {
+            const idx = candidates[this.rng.int(0, candidates.length - 1)];
+            if (bestIdx === null || this._compareIndividuals(idx, bestIdx) < 0) {
                 bestIdx = idx;
             }
         }
         return bestIdx ?? 0;
     }
 
+    _rouletteSelect() {
+        const weights = this.selectionFitness.map((f) => Math.max(0, f) + 1e-6);
+        return this._weightedPick(weights);
+    }
+
+    _rankSelect() {
+        const order = this._sortedOrder();
+        const N = order.length;
+        if (N <= 1) return order[0] ?? 0;
+        // 선형 순위: p(r) = (2 - s)/N + 2(s - 1)(N - 1 - r) / (N(N - 1))
+        const s = Math.min(2, Math.max(1, this.rankPressure));
+        const weights = order.map(
+            (_, r) => (2 - s) / N + (2 * (s - 1) * (N - 1 - r)) / (N * (N - 1))
+        );
+        return order[this._weightedPick(weights)];
+    }
+
+    _truncationSelect() {
+        const order = this._sortedOrder();
+        const count = Math.max(1, Math.floor(order.length * this.truncationRate));
+        return order[this.rng.int(0, count - 1)];
+    }
+
+    _sortedOrder() {
+        if (this.lastSortedIndices.length === this.populationSize) return this.lastSortedIndices;
+        const indices = Array.from({ length: this.populationSize }, (_, i) => i);
+        return indices.sort((a, b) => this._compareIndividuals(a, b));
+    }
+
+    /**
+     * 가중치 비례 인덱스 추출
+     */
+    _weightedPick(weights) {
+        let total = 0;
+        for (const w of weights) total += w;
+        let r = this.rng.random() * total;
+        for (let i = 0; i < weights.length; i++) {
+            r -= weights[i];
+            if (r < 0) return i;
+        }
+        return weights.length - 1;
+    }
+
+    /**
+     * 생존자 선택 (survivorSelection 전략에 따라)
+     * @param {number[]} sorted - 좋은 순 정렬 인덱스
+     * @param {number} count - 생존자 수
+     * @returns {number[]} 생존자 인덱스 (좋은 순)
+     */
+    _selectSurvivors(sorted, count) {
+        if (this.survivorSelection === "elitist") {
+            return sorted.slice(0, count);
+        }
+
+        const remaining = sorted.slice();
+        const picked = [];
+        while (picked.length < count && remaining.length > 0) {
+            let idx;
+            if (this.survivorSelection === "stochastic") {
+                const weights = remaining.map((i) => Math.max(0, this.selectionFitness[i]) + 1e-6);
+                idx = remaining[this._weightedPick(weights)];
+            } else {
+                idx = this._tournamentSelect(remaining, this.tournamentSize);
+            }
+            picked.push(idx);
+            remaining.splice(remaining.indexOf(idx), 1);
+        }
+        picked.sort((a, b) => this._compareIndividuals(a, b));
+        return picked;
+    }
+
+    /* ========== Speciation (niching) ========== */
+
+    _speciesOf(g) {
+        return g.patternId;
+    }
+
+    _speciesIds() {
+        return this.schema.patternId?.options ?? RD_PATTERN_TABLE.map((p) => p.id);
+    }
+
+    /**
+     * Fitness sharing
+     * - f'_i = f_i / Σ_j sh(d_ij), sh(d) = 1 - d/σ (d < σ), d = genomeDistance
+     * - 같은 niche에 몰린 개체일수록 fitness가 깎여 한 패턴의 독점을 막는다.
+     */
+    _sharedFitness() {
+        const N = this.population.length;
+        const sigma = Math.max(1e-6, this.sharingRadius);
+        const shared = new Array(N);
+        for (let i = 0; i < N; i++) {
+            let niche = 0;
+            for (let j = 0; j < N; j++) {
+                const d = i === j ? 0 : genomeDistance(this.population[i], this.population[j], this.schema);
+                if (d < sigma) niche += 1 - d / sigma;
+            }
+            shared[i] = this.fitness[i] / Math.max(1, niche);
+        }
+        return shared;
+    }
+
+    /**
+     * 종별 최소 인원 보호
+     * - population에 남아 있는 종마다 최소 min(minSpeciesSize, 종 인원)명이 살아남도록
+     *   doomed 쪽에서 그 종의 최상위 개체를 생존자로 올린다.
+     */
+    _protectSpecies(survivors, sorted) {
+        const out = survivors.slice();
+        const chosen = new Set(out);
+        for (const sid of this._speciesIds()) {
+            const members = sorted.filter((i) => this._speciesOf(this.population[i]) === sid);
+            const need = Math.min(this.minSpeciesSize, members.length);
+            let have = members.filter((i) => chosen.has(i)).length;
+            for (const i of members) {
+                if (have >= need) break;
+                if (chosen.has(i)) continue;
+                out.push(i);
+                chosen.add(i);
+                have++;
+            }
+        }
+        out.sort((a, b) => this._compareIndividuals(a, b));
+        return out;
+    }
+
+    /**
+     * 종별 요약 (HUD용)
+     */
+    _summarizeSpecies() {
+        return this._speciesIds().map((sid) => {
+            let count = 0;
+            let best = null;
+            this.population.forEach((g, i) => {
+                if (this._speciesOf(g) !== sid) return;
+                count++;
+                const f = this.fitness[i];
+                if (typeof f === "number" && (best === null || f > best)) best = f;
+            });
+            return { id: sid, name: RD_PATTERN_TABLE[sid]?.name ?? String(sid), count, bestFitness: best };
+        });
+    }
+
+    /**
+     * 다음 세대에서 최소 인원이 모자란 종 목록 (부족한 만큼 반복)
+     * - 생존자 기준으로 세고, 멸종한 종도 포함해서 다시 채운다.
+     */
+    _speciesDeficits(survivors) {
+        const counts = new Map();
+        for (const i of survivors) {
+            const sid = this._speciesOf(this.population[i]);
+            counts.set(sid, (counts.get(sid) ?? 0) + 1);
+        }
+        const out = [];
+        for (const sid of this._speciesIds()) {
+            for (let k = counts.get(sid) ?? 0; k < this.minSpeciesSize; k++) out.push(sid);
+        }
+        return out;
+    }
+
+    /**
+     * 특정 종 안에서 부모 선택 (종 구성원이 없으면 전체에서 선택)
+     */
+    _selectParentInSpecies(sid) {
+        const members = [];
+        this.population.forEach((g, i) => {
+            if (this._speciesOf(g) === sid) members.push(i);
+        });
+        if (members.length === 0) return this._selectParentIndex();
+        return this._tournamentSelect(members, this.tournamentSize);
+    }
+
+    /* ========== Steady-state (에너지 생태 모드) ========== */
+
+    /**
+     * 개체 하나의 변이 자식을 slot에 넣는다. (세대 단위가 아닌 개체 단위 번식)
+     * - 무성 생식: 부모 복제 + 변이, genId는 부모 + 1
+     * - parentIndex가 null이면 새 무작위 개체 (멸종 후 재정착, genId 0)
+     * - generation은 population에서 가장 깊은 genId를 따라간다. (계보 정리 / HUD용)
+     * @returns {object} 새 genome
+     */
+    reproduceInto(parentIndex, slot) {
+        if (slot < 0 || slot >= this.populationSize) {
+            throw new Error(`[GA] 잘못된 슬롯입니다: ${slot}`);
+        }
+        const parent = parentIndex != null ? this.population[parentIndex] : null;
+        let child;
+        if (parent) {
+            child = this._mutate(this._cloneGenome(parent));
+            child.genId = (parent.genId ?? 0) + 1;
+            this._registerGenome(child, [parent.id]);
+        } else {
+            child = this.createRandomGenome(slot); // genId 0 = 새 시조
+        }
+
+        this.population[slot] = child;
+        this.fitness[slot] = 0;
+        if (child.genId > this.generation) {
+            this.generation = child.genId;
+            this._pruneLineage();
+        }
+        return child;
+    }
+
+    /* ========== 외부 genome 주입 ========== */
+
+    /**
+     * 바깥에서 받은 genome(공유 코드 등)을 slot에 넣는다.
+     * - 스키마로 정리한 뒤 새 id로 등록 (부모 없음, 현재 세대 소속)
+     * @returns {object} 등록된 genome
+     */
+    injectGenome(slot, raw) {
+        if (slot < 0 || slot >= this.populationSize) {
+            throw new Error(`[GA] 잘못된 슬롯입니다: ${slot}`);
+        }
+        const genome = sanitizeGenome(raw, this.schema);
+        delete genome.id;
+        genome.genId = this.generation;
+        this._registerGenome(genome, []);
+        this.population[slot] = genome;
+        this.fitness[slot] = 0;
+        return genome;
+    }
+
+    /* ========== Spatial mating ========== */
+
+    /**
+     * 개체 쌍별 만남 시간 주입 (evaluate ~ nextGeneration 사이에 호출)
+     * @param {Array<Object<number, number>>|null} encounters - index → { 상대 index: 초 }
+     */
+    setEncounters(encounters) {
+        this.encounters = encounters;
+    }
+
+    /**
+     * 세대 창 동안 만난 생존자 쌍 고르기
+     * - 첫 부모: 만난 생존자가 있는 생존자 중 tournament
+     * - 짝: 첫 부모가 만난 생존자 중 함께 보낸 시간에 비례
+     * @returns {[number, number]|null} 만난 생존자 쌍이 하나도 없으면 null
+     */
+    _selectMatingPair(survivors) {
+        if (!this.encounters) return null;
+        const alive = new Set(survivors);
+        const mates = new Map();
+        for (const i of survivors) {
+            const met = Object.entries(this.encounters[i] ?? {})
+                .map(([j, t]) => [Number(j), t])
+                .filter(([j, t]) => j !== i && alive.has(j) && t > 0);
+            if (met.length > 0) mates.set(i, met);
+        }
+        if (mates.size === 0) return null;
+
+        const a = this._tournamentSelect(Array.from(mates.keys()), this.tournamentSize);
+        const met = mates.get(a);
+        const b = met[this._weightedPick(met.map(([, t]) => t))][0];
+        return [a, b];
+    }
+
+    getLastMatings() {
+        return this.lastMatings;
+    }
+
+    /* ========== Multi-objective (NSGA-II) ========== */
+
+    /**
+     * pareto 모드에서 쓸 목적 목록
+     * - weight > 0인 score term 중, 이번 평가에서 값이 있는 것만
+     * - 가중치는 목적 선택에만 쓰고 값에는 곱하지 않는다. (trade-off를 그대로 보존)
+     */
+    _computeObjectives(termValues) {
+        const names = [];
+        for (const [name, term] of this.fitnessTerms) {
+            if (term.kind !== "score" || !(term.weight > 0)) continue;
+            if (termValues.some((tv) => tv[name] != null)) names.push(name);
+        }
+        const values = termValues.map((tv) => names.map((n) => tv[n] ?? 0));
+        return { names, values };
+    }
+
+    _dominates(va, vb) {
+        let strictlyBetter = false;
+        for (let k = 0; k < va.length; k++) {
+            if (va[k] < vb[k]) return false;
+            if (va[k] > vb[k]) strictlyBetter = true;
+        }
+        return strictlyBetter;
+    }
+
+    /**
+     * Fast non-dominated sort
+     * @returns {{ ranks: number[], fronts: number[][] }} rank 0이 pareto front
+     */
+    _nonDominatedSort(values) {
+        const N = values.length;
+        const dominatedBy = Array.from({ length: N }, () => []); // i가 지배하는 개체들
+        const dominationCount = new Array(N).fill(0);
+        const ranks = new Array(N).fill(0);
+        const fronts = [[]];
+
+        for (let i = 0; i < N; i++) {
+            for (let j = i + 1; j < N; j++) {
+                if (this._dominates(values[i], values[j])) {
+                    dominatedBy[i].push(j);
+                    dominationCount[j]++;
+                } else if (this._dominates(values[j], values[i])) {
+                    dominatedBy[j].push(i);
+                    dominationCount[i]++;
+                }
+            }
+        }
+        for (let i = 0; i < N; i++) {
+            if (dominationCount[i] === 0) fronts[0].push(i);
+        }
+
+        let f = 0;
+        while (fronts[f].length > 0) {
+            const next = [];
+            for (const i of fronts[f]) {
+                for (const j of dominatedBy[i]) {
+                    dominationCount[j]--;
+                    if (dominationCount[j] === 0) {
+                        ranks[j] = f + 1;
+                        next.push(j);
+                    }
+                }
+            }
+            f++;
+            fronts.push(next);
+        }
+        fronts.pop(); // 마지막 빈 front 제거
+
+        return { ranks, fronts };
+    }
+
+    /**
+     * 한 front 안에서 crowding distance 계산 (양 끝은 Infinity)
+     */
+    _assignCrowdingDistance(front, values, out) {
+        if (front.length === 0) return;
+        const M = values[front[0]].length;
+        for (const i of front) out[i] = 0;
+        if (front.length <= 2) {
+            for (const i of front) out[i] = Infinity;
+            return;
+        }
+        for (let m = 0; m < M; m++) {
+            const sorted = front.slice().sort((a, b) => values[a][m] - values[b][m]);
+            const lo = values[sorted[0]][m];
+            const hi = values[sorted[sorted.length - 1]][m];
+            out[sorted[0]] = Infinity;
+            out[sorted[sorted.length - 1]] = Infinity;
+            const span = hi - lo;
+            if (span <= 0) continue;
+            for (let k = 1; k < sorted.length - 1; k++) {
+                out[sorted[k]] += (values[sorted[k + 1]][m] - values[sorted[k - 1]][m]) / span;
+            }
+        }
+    }
+
     /* ========== Crossover & Mutation ========== */
 
     _cloneGenome(g) {
-        return {
-            hue: g.hue,
-            value: g.value,
-            patternId: g.patternId,
-            bodyScale: g.bodyScale,
-            baseSpeed: g.baseSpeed,
-            showOff: g.showOff,
-            genId: g.genId,
-        };
+        return cloneGenome(g, this.schema);
     }
 
     /**
-     * 두 부모로부터 자식 1개 생성 (균등/평균 혼합)
+     * 두 부모로부터 자식 1개 생성 (스키마의 gene별 crossover 연산)
      */
     _crossover(gA, gB) {
-        if (Math.random() > this.crossoverRate) {
-            // 교차 안 할 때는 아무 부모나 복제
-            return this._cloneGenome(Math.random() < 0.5 ? gA : gB);
-        }
-
-        const child = {
-            // 연속값은 평균 + 약간 노이즈
-            hue: (gA.hue + gB.hue) * 0.5 + randFloat(-10, 10),
-            value: (gA.value + gB.value) * 0.5 + randFloat(-0.05, 0.05),
-            // patternId는 부모 중 하나 채택
-            patternId: Math.random() < 0.5 ? gA.patternId : gB.patternId,
-            bodyScale: (gA.bodyScale + gB.bodyScale) * 0.5 + randFloat(-0.1, 0.1),
-            baseSpeed: (gA.baseSpeed + gB.baseSpeed) * 0.5 + randFloat(-0.05, 0.05),
-            showOff: (gA.showOff + gB.showOff) * 0.5 + randFloat(-0.05, 0.05),
-            genId: this.generation + 1, // 자식은 다음 세대에 속함
-        };
+        if (this.rng.random() > this.crossoverRate) {
+            // 교차 안 할 때는 아무 부모나 복제 (부모 1명)
+            const parent = this.rng.random() < 0.5 ? gA : gB;
+            const clone = this._cloneGenome(parent);
+            clone.parentIds = [parent.id];
+            return clone;
+        }
+
+        const child = crossoverGenomes(gA, gB, this.rng, this.schema);
+        child.genId = this.generation + 1; // 자식은 다음 세대에 속함
+        child.parentIds = gA.id === gB.id ? [gA.id] : [gA.id, gB.id];
         return child;
     }
 
-    _mutateValue(v, min, max, amount) {
-        const span = max - min;
-        const delta = (Math.random() * 2 - 1) * span * amount;
-        const out = v + delta;
-        return out < min ? min : out > max ? max : out;
+    /**
+     * 단일 Genome 돌연변이 (스키마의 gene별 mutation 연산)
+     */
+    _mutate(genome) {
+        if (!this.adaptiveMutation) {
+            return mutateGenome(genome, this.rng, this.mutationRate, this.schema);
+        }
+        return mutateGenome(genome, this.rng, this.effectiveMutationRate, this.schema, this.mutationStrength);
+    }
+
+    /* ========== Adaptive mutation ========== */
+
+    _currentMutationRate() {
+        return this.adaptiveMutation ? this.effectiveMutationRate : this.mutationRate;
     }
 
     /**
-     * 단일 Genome 돌연변이
+     * 다양성 / fitness 추세로 변이율과 perturb 폭 조절 (evaluatePopulation 끝에서 호출)
+     * - 다양성이 diversityTarget 아래로 무너질수록 최대 3배까지 키운다.
+     * - 평균 fitness가 직전 세대보다 오르는 중이면 0.8배로 줄여 수렴을 돕는다.
+     * - 급격히 출렁이지 않도록 직전 값과 절반씩 섞는다.
      */
-    _mutate(genome) {
-        // 팔레트는 비교적 안정적으로, 동작/크기는 더 과감하게 변이
-        if (Math.random() < this.mutationRate * 0.7) {
-            genome.hue = this._mutateValue(genome.hue, 0, 360, 0.25);
+    _adaptMutation() {
+        if (!this.adaptiveMutation) {
+            this.effectiveMutationRate = this.mutationRate;
+            this.mutationStrength = 1.0;
+            return;
         }
-        if (Math.random() < this.mutationRate * 0.7) {
-            genome.value = this._mutateValue(genome.value, 0, 1, 0.3);
+
+        let factor = 1.0;
+        const diversity = this.lastDiversity?.overall ?? this.diversityTarget;
+        if (this.diversityTarget > 0 && diversity < this.diversityTarget) {
+            factor += (2.0 * (this.diversityTarget - diversity)) / this.diversityTarget;
         }
-        if (Math.random() < this.mutationRate * 0.8) {
-            genome.patternId = randInt(0, RD_PATTERN_TABLE.length - 1);
+
+        const h = this.history;
+        if (h.length >= 2) {
+            const gain = h[h.length - 1].avgFitness - h[h.length - 2].avgFitness;
+            if (gain > 0.005) factor *= 0.8;
+        }
+
+        const target = Math.min(this.mutationRateMax, Math.max(this.mutationRateMin, this.mutationRate * factor));
+        this.effectiveMutationRate = this.effectiveMutationRate * 0.5 + target * 0.5;
+        this.mutationStrength = this.mutationRate > 0
+            ? Math.min(3.0, Math.max(0.5, this.effectiveMutationRate / this.mutationRate))
+            : 1.0;
+    }
+
+    /* ========== Hall of fame ========== */
+
+    /**
+     * 이번 평가 결과를 보관소에 반영
+     * - 보관소 최고보다 못한 세대가 이어지면 stagnantGenerations 증가 (자동 재투입 판단용)
+     * - 이미 보관된 개체와 genome 거리가 hallOfFameMinDistance 미만이면 더 좋은 쪽만 남긴다.
+     */
+    _updateHallOfFame() {
+        const N = this.population.length;
+        // hallOfFameSize 0 = 보관소 끔 (island GA는 host 보관소만 쓴다)
+        if (N === 0 || this.hallOfFameSize <= 0) return;
+        const archiveBest = this.hallOfFame[0]?.fitness ?? -Infinity;
+        const best = Math.max(...this.fitness);
+        this.stagnantGenerations = best < archiveBest ? this.stagnantGenerations + 1 : 0;
+
+        for (let i = 0; i < N; i++) {
+            const genome = this.population[i];
+            const fitness = this.fitness[i];
+            const worst = this.hallOfFame[this.hallOfFame.length - 1];
+            if (this.hallOfFame.length >= this.hallOfFameSize && worst && fitness <= worst.fitness) continue;
+
+            const similar = this.hallOfFame.findIndex(
+                (e) => e.id === genome.id || genomeDistance(e.genome, genome, this.schema) < this.hallOfFameMinDistance
+            );
+            if (similar >= 0) {
+                if (this.hallOfFame[similar].fitness >= fitness) continue;
+                this.hallOfFame.splice(similar, 1);
+            }
+            this.hallOfFame.push({
+                id: genome.id,
+                genId: genome.genId ?? this.generation,
+                generation: this.generation,
+                fitness,
+                genome: this._cloneGenome(genome),
+            });
+            this.hallOfFame.sort((a, b) => b.fitness - a.fitness);
         }
-        if (Math.random() < this.mutationRate) {
-            genome.bodyScale = this._mutateValue(genome.bodyScale, 0.5, 2.0, 0.4);
+        this.hallOfFame.length = Math.min(this.hallOfFame.length, Math.max(0, this.hallOfFameSize));
+    }
+
+    getHallOfFame() {
+        return this.hallOfFame;
+    }
+
+    getHallOfFameInfo() {
+        return {
+            size: this.hallOfFame.length,
+            bestFitness: this.hallOfFame[0]?.fitness ?? null,
+            stagnantGenerations: this.stagnantGenerations,
+            lastReintroduction: this.lastReintroduction,
+        };
+    }
+
+    /**
+     * 보관 개체를 현재 population에 되돌려 넣는다. (같은 id의 복사본)
+     * - 이미 population에 있는 개체는 건너뛴다.
+     * - slots가 없으면 마지막 평가 기준 가장 낮은 순위 자리부터 채운다.
+     * @param {number} [count=this.reintroduceCount]
+     * @param {number[]|null} [slots] - 채울 슬롯 (우선순위 순)
+     * @param {number[]|null} [entryIndices] - 재투입할 보관소 인덱스 (없으면 최고 순)
+     * @returns {number[]} 실제로 채운 슬롯
+     */
+    reintroduceElites(count = this.reintroduceCount, slots = null, entryIndices = null) {
+        const present = new Set(this.population.map((g) => g.id));
+        const entries = (entryIndices ?? this.hallOfFame.map((_, i) => i))
+            .map((i) => this.hallOfFame[i])
+            .filter((e) => e && !present.has(e.id))
+            .slice(0, count);
+        const targets = (slots ?? this._worstSlots()).slice();
+
+        const filled = [];
+        for (const entry of entries) {
+            const slot = targets.shift();
+            if (slot == null) break;
+            const genome = this._cloneGenome(entry.genome);
+            this._ensureLineageEntry(genome, entry.fitness);
+            this.population[slot] = genome;
+            this.fitness[slot] = entry.fitness;
+            filled.push(slot);
         }
-        if (Math.random() < this.mutationRate) {
-            genome.baseSpeed = this._mutateValue(genome.baseSpeed, 0.5, 1.8, 0.4);
+        if (filled.length > 0) {
+            this.lastReintroduction = {
+                generation: this.generation,
+                slots: filled,
+                ids: filled.map((i) => this.population[i].id),
+            };
+            this.stagnantGenerations = 0;
         }
-        if (Math.random() < this.mutationRate) {
-            genome.showOff = this._mutateValue(genome.showOff, 0.0, 1.2, 0.5);
+        return filled;
+    }
+
+    /**
+     * 순위가 낮은 슬롯부터
+     * - 평가 전이면 계보에 기록된 마지막 fitness 기준 (아직 평가받지 않은 새 개체가 먼저)
+     */
+    _worstSlots() {
+        if (this.lastSortedIndices.length === this.populationSize) {
+            return this.lastSortedIndices.slice().reverse();
         }
-        return genome;
+        const lineage = (this.lineageHost ?? this).lineage;
+        const known = this.population.map((g) => lineage.get(g.id)?.fitness ?? -Infinity);
+        return this.population.map((_, i) => i).sort((a, b) => known[a] - known[b]);
+    }
+
+    /**
+     * 재투입 개체의 계보 항목이 정리되었으면 보관소 사본으로 되살린다.
+     */
+    _ensureLineageEntry(genome, fitness) {
+        const lineage = (this.lineageHost ?? this).lineage;
+        if (lineage.has(genome.id)) return;
+        lineage.set(genome.id, {
+            id: genome.id,
+            parentIds: (genome.parentIds ?? []).slice(),
+            genId: genome.genId ?? this.generation,
+            genome: this._cloneGenome(genome),
+            fitness,
+        });
+    }
+
+    getMutationInfo() {
+        return {
+            adaptive: this.adaptiveMutation,
+            baseRate: this.mutationRate,
+            rate: this._currentMutationRate(),
+            strength: this.adaptiveMutation ? this.mutationStrength : 1.0,
+        };
     }
 
     /* ========== 세대 전환 ========== */
@@ -404,31 +1477,298 @@ export class GeneticAlgorithm {
         const doomed = this.lastDoomed;
 
         const newPop = new Array(N);
+        this.lastMatings = {};
 
         // 1) 엘리트 보존: survivors 그대로 복제
         for (const idx of survivors) {
             newPop[idx] = this._cloneGenome(this.population[idx]);
         }
 
+        // speciation: 최소 인원이 모자란 종부터 doomed 슬롯을 채운다.
+        const deficits = this.speciation !== "off" ? this._speciesDeficits(survivors) : [];
+
         // 2) doomed 슬롯 채우기
         for (const idx of doomed) {
-            // 부모는 전체 population 기준 토너먼트로 고른다.
-            const pA = this.population[this._selectParentIndex()];
-            const pB = this.population[this._selectParentIndex()];
-            let child = this._crossover(pA, pB);
-            child = this._mutate(child);
+            const protectedSpecies = deficits.length > 0 ? deficits.shift() : null;
+            let parents;
+            if (protectedSpecies !== null) {
+                // 보호 종: 종 안에서 부모를 고른다.
+                parents = [
+                    this._selectParentInSpecies(protectedSpecies),
+                    this._selectParentInSpecies(protectedSpecies),
+                ];
+            } else {
+                // spatial: 만난 생존자 쌍, 없으면 전체 population에서 parentSelection 전략으로
+                parents = (this.matingMode === "spatial" && this._selectMatingPair(survivors)) || [
+                    this._selectParentIndex(),
+                    this._selectParentIndex(),
+                ];
+            }
+            const child = this._mutate(
+                this._crossover(this.population[parents[0]], this.population[parents[1]])
+            );
+            // 보호 종은 변이 후에도 종(patternId) 유지
+            if (protectedSpecies !== null) child.patternId = protectedSpecies;
+            this.lastMatings[idx] = parents;
             child.genId = this.generation + 1; // 새로 태어난 개체의 세대 표시
+            this._registerGenome(child, child.parentIds ?? []);
             newPop[idx] = child;
         }
 
         this.population = newPop;
         this.generation += 1;
 
+        // 정체가 K세대 이어지면 보관 개체를 방금 태어난 자리(순위 낮은 doomed부터)에 재투입
+        this.lastReintroduction = null;
+        if (this.autoReintroduce && this.stagnantGenerations >= this.reintroducePatience) {
+            this.reintroduceElites(this.reintroduceCount, doomed.slice().reverse());
+        }
+        this._pruneLineage();
+
         // 다음 evaluation을 위해 캐시 리셋
         this.fitness = new Array(N).fill(0);
+        this.selectionFitness = [];
+        this.encounters = null;
+        this.lastSortedIndices = [];
+        this.lastSurvivors = [];
+        this.lastDoomed = [];
+        this.lastPareto = null;
+
+        return this.population;
+    }
+
+    /* ========== Lineage (계보) ========== */
+
+    /**
+     * 새로 태어난 genome에 id / parentIds를 붙이고 계보 저장소에 기록
+     */
+    _registerGenome(genome, parentIds) {
+        // island model: id 발급과 계보 기록은 host GA 한 곳에서
+        if (this.lineageHost) return this.lineageHost._registerGenome(genome, parentIds);
+
+        genome.id = this.nextGenomeId++;
+        genome.parentIds = parentIds.filter((id) => typeof id === "number");
+        this.lineage.set(genome.id, {
+            id: genome.id,
+            parentIds: genome.parentIds.slice(),
+            genId: genome.genId ?? this.generation,
+            genome: this._cloneGenome(genome),
+            fitness: null,
+        });
+        return genome;
+    }
+
+    /**
+     * 오래된 계보 기록 정리 (현재 population 개체는 유지)
+     */
+    _pruneLineage() {
+        const minGen = this.generation - LINEAGE_KEEP_GENERATIONS;
+        if (minGen <= 0) return;
+        const alive = new Set(this.population.map((g) => g.id));
+        for (const [id, entry] of this.lineage) {
+            if (entry.genId < minGen && !alive.has(id)) this.lineage.delete(id);
+        }
+    }
+
+    getLineageEntry(id) {
+        return this.lineage.get(id) ?? null;
+    }
+
+    /**
+     * 특정 genome의 조상 트리 (세대 단계별)
+     * @param {number} id - genome id
+     * @param {number} [maxDepth=6] - 거슬러 올라갈 단계 수
+     * @returns {object[][]} levels[0] = [자기 자신], levels[k] = k단계 위 조상들 (중복 제거)
+     */
+    getAncestry(id, maxDepth = 6) {
+        const self = this.lineage.get(id);
+        if (!self) return [];
+        const levels = [[self]];
+        for (let d = 0; d < maxDepth; d++) {
+            const seen = new Set();
+            const next = [];
+            for (const entry of levels[levels.length - 1]) {
+                for (const pid of entry.parentIds) {
+                    const parent = this.lineage.get(pid);
+                    if (!parent || seen.has(pid)) continue;
+                    seen.add(pid);
+                    next.push(parent);
+                }
+            }
+            if (next.length === 0) break;
+            levels.push(next);
+        }
+        return levels;
+    }
+
+    /* ========== 저장 / 불러오기 ========== */
+
+    /**
+     * GA 전체 상태를 JSON 직렬화 가능한 객체로 반환
+     * - population / fitness / generation / slotPatternIds / 옵션 / fitness term 가중치 / 난수 상태
+     */
+    exportState() {
+        return {
+            format: GA_STATE_FORMAT,
+            version: GA_STATE_VERSION,
+            generation: this.generation,
+            population: this.population.map((g) => this._cloneGenome(g)),
+            fitness: this.fitness.slice(),
+            slotPatternIds: this.slotPatternIds.slice(),
+            options: this.getOptions(),
+            fitnessTerms: Array.from(this.fitnessTerms, ([name, term]) => ({
+                name,
+                weight: term.weight,
+            })),
+            rngState: this.rng.getState?.() ?? null,
+            adaptiveMutationState: {
+                effectiveMutationRate: this.effectiveMutationRate,
+                mutationStrength: this.mutationStrength,
+            },
+            nextGenomeId: this.nextGenomeId,
+            lineage: Array.from(this.lineage.values()),
+            hallOfFame: this.hallOfFame.map((e) => ({ ...e, genome: this._cloneGenome(e.genome) })),
+        };
+    }
+
+    /**
+     * 현재 GA 옵션 (저장 / island 동기화용)
+     */
+    getOptions() {
+        return {
+            populationSize: this.populationSize,
+            survivalRate: this.survivalRate,
+            mutationRate: this.mutationRate,
+            crossoverRate: this.crossoverRate,
+            mode: this.mode,
+            parentSelection: this.parentSelection,
+            tournamentSize: this.tournamentSize,
+            rankPressure: this.rankPressure,
+            truncationRate: this.truncationRate,
+            survivorSelection: this.survivorSelection,
+            speciation: this.speciation,
+            sharingRadius: this.sharingRadius,
+            minSpeciesSize: this.minSpeciesSize,
+            likeWeight: this.likeWeight,
+            matingMode: this.matingMode,
+            adaptiveMutation: this.adaptiveMutation,
+            diversityTarget: this.diversityTarget,
+            mutationRateMin: this.mutationRateMin,
+            mutationRateMax: this.mutationRateMax,
+            environmentCoupling: this.environmentCoupling,
+            hallOfFameSize: this.hallOfFameSize,
+            hallOfFameMinDistance: this.hallOfFameMinDistance,
+            autoReintroduce: this.autoReintroduce,
+            reintroducePatience: this.reintroducePatience,
+            reintroduceCount: this.reintroduceCount,
+        };
+    }
+
+    /**
+     * 옵션 일괄 적용 (GA_RESTORABLE_OPTIONS에 있는 키만, populationSize 제외)
+     */
+    setOptions(opts = {}) {
+        for (const key of GA_RESTORABLE_OPTIONS) {
+            if (opts[key] != null) this[key] = opts[key];
+        }
+    }
+
+    /**
+     * exportState() 결과로 GA 상태 복원
+     * - populationSize는 현재 인스턴스(=boid 수)와 같아야 한다.
+     * - FITNESS_TERM_LIBRARY에 없는 term은 건너뛴다. (함수는 직렬화되지 않음)
+     */
+    importState(data) {
+        if (!data || data.format !== GA_STATE_FORMAT) {
+            throw new Error("[GA] 알 수 없는 저장 포맷입니다.");
+        }
+        if (data.version > GA_STATE_VERSION) {
+            throw new Error(`[GA] 지원하지 않는 저장 버전입니다: ${data.version}`);
+        }
+        const N = this.populationSize;
+        if (!Array.isArray(data.population) || data.population.length !== N) {
+            throw new Error(`[GA] population 크기가 맞지 않습니다. (저장: ${data.population?.length}, 현재: ${N})`);
+        }
+
+        this.setOptions(data.options ?? {});
+
+        if (Array.isArray(data.fitnessTerms)) {
+            this.fitnessTerms.clear();
+            for (const { name, weight } of data.fitnessTerms) {
+                if (!FITNESS_TERM_LIBRARY[name]) {
+                    console.warn(`[GA] 불러오기: 알 수 없는 fitness term 건너뜀 (${name})`);
+                    continue;
+                }
+                this.addFitnessTerm(name).weight = weight ?? FITNESS_TERM_LIBRARY[name].weight;
+            }
+        }
+
+        if (Array.isArray(data.slotPatternIds) && data.slotPatternIds.length === N) {
+            this.slotPatternIds = data.slotPatternIds.slice();
+        }
+
+        // 계보: v2는 저장소 그대로, v1(또는 id 없는 genome)은 새 id를 붙인다.
+        this.lineage.clear();
+        if (Array.isArray(data.lineage)) {
+            for (const entry of data.lineage) {
+                if (typeof entry?.id !== "number") continue;
+                this.lineage.set(entry.id, {
+                    id: entry.id,
+                    parentIds: Array.isArray(entry.parentIds) ? entry.parentIds.slice() : [],
+                    genId: entry.genId ?? 0,
+                    genome: sanitizeGenome(entry.genome, this.schema),
+                    fitness: entry.fitness ?? null,
+                });
+            }
+        }
+        let maxId = 0;
+        for (const id of this.lineage.keys()) maxId = Math.max(maxId, id);
+        this.nextGenomeId = Math.max(data.nextGenomeId ?? 1, maxId + 1);
+
+        this.population = data.population.map((raw) => {
+            const g = sanitizeGenome(raw, this.schema);
+            if (typeof g.id !== "number") {
+                this._registerGenome(g, []);
+            } else if (!this.lineage.has(g.id)) {
+                this.lineage.set(g.id, {
+                    id: g.id,
+                    parentIds: g.parentIds ?? [],
+                    genId: g.genId,
+                    genome: this._cloneGenome(g),
+                    fitness: null,
+                });
+                this.nextGenomeId = Math.max(this.nextGenomeId, g.id + 1);
+            }
+            return g;
+        });
+        this.fitness = Array.isArray(data.fitness) && data.fitness.length === N
+            ? data.fitness.slice()
+            : new Array(N).fill(0);
+        this.generation = data.generation ?? 0;
+        if (data.rngState != null) this.rng.setState?.(data.rngState);
+
+        const am = data.adaptiveMutationState;
+        this.effectiveMutationRate = am?.effectiveMutationRate ?? this.mutationRate;
+        this.mutationStrength = am?.mutationStrength ?? 1.0;
+
+        this.hallOfFame = (Array.isArray(data.hallOfFame) ? data.hallOfFame : [])
+            .filter((e) => e && typeof e.fitness === "number" && e.genome)
+            .map((e) => ({
+                id: e.id,
+                genId: e.genId ?? 0,
+                generation: e.generation ?? 0,
+                fitness: e.fitness,
+                genome: sanitizeGenome(e.genome, this.schema),
+            }))
+            .sort((a, b) => b.fitness - a.fitness)
+            .slice(0, this.hallOfFameSize);
+        this.stagnantGenerations = 0;
+        this.lastReintroduction = null;
+
         this.lastSortedIndices = [];
         this.lastSurvivors = [];
         this.lastDoomed = [];
+        this.lastPareto = null;
 
         return this.population;
     }
@@ -0,0 +1,695 @@
+// genome.js - 선언형 Genome 스키마
+// - 유전자 하나를 한 곳에서만 정의한다: 타입 / 범위 / 초기 분포 / crossover / mutation / HUD 표시
+// - ga.js (생성·복제·교차·변이), boids.js (fallback genome), main.js (HUD 요약)가 모두 이 스키마를 읽는다.
+// - 새 형질을 추가할 때는 GENOME_SCHEMA 끝에 항목 하나만 추가하면 된다. (공유 코드가 선언 순서를 쓴다)
+// - DOM / Three.js 의존 없음
+
+/* =========================
+ * 스키마 정의
+ * ========================= */
+
+// gene 필드
+// - type: "continuous" | "categorical" | "circular" (circular: min~max가 한 바퀴, 예: hue)
+// - min / max: 연속/원형 값 범위, options: 범주형 값 목록
+// - init: { dist: "uniform", min, max } | { dist: "choice" }
+// - default: fallback genome 값
+// - crossover: { op: "blend", noise } (평균 + 노이즈, circular는 최단 호 평균) | { op: "pick" } (부모 중 하나)
+// - mutation: { op: "perturb", rate, amount } (±span·amount) | { op: "resample", rate } (새로 뽑기)
+//   rate는 GA mutationRate에 곱해지는 배수
+// - hud: { label, summary: "avg" | "counts" } (없으면 HUD 요약에서 제외)
+export const GENOME_SCHEMA = {
+    // 처음에는 비교적 넓지만 서버 톤 근처에서 시작, 팔레트는 비교적 안정적으로 변이
+    hue: {
+        type: "circular",
+        min: 0,
+        max: 360,
+        init: { dist: "uniform", min: 150, max: 230 },
+        default: 190,
+        crossover: { op: "blend", noise: 10 },
+        mutation: { op: "perturb", rate: 0.7, amount: 0.25 },
+    },
+    value: {
+        type: "continuous",
+        min: 0,
+        max: 1,
+        init: { dist: "uniform", min: 0.3, max: 0.95 },
+        default: 0.6,
+        crossover: { op: "blend", noise: 0.05 },
+        mutation: { op: "perturb", rate: 0.7, amount: 0.3 },
+    },
+    // RD_PATTERN_TABLE id (A~E)
+    patternId: {
+        type: "categorical",
+        options: [0, 1, 2, 3, 4],
+        init: { dist: "choice" },
+        default: 0,
+        crossover: { op: "pick" },
+        mutation: { op: "resample", rate: 0.8 },
+        hud: { label: "P", summary: "counts" },
+    },
+    // 크기/속도/쇼오프는 제법 넓은 범위로 시작 (세대가 지나며 정돈됨), 더 과감하게 변이
+    bodyScale: {
+        type: "continuous",
+        min: 0.5,
+        max: 2.0,
+        init: { dist: "uniform", min: 0.5, max: 2.0 },
+        default: 1.0,
+        crossover: { op: "blend", noise: 0.1 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.4 },
+        hud: { label: "scale", summary: "avg" },
+    },
+    baseSpeed: {
+        type: "continuous",
+        min: 0.5,
+        max: 1.8,
+        init: { dist: "uniform", min: 0.5, max: 1.8 },
+        default: 1.0,
+        crossover: { op: "blend", noise: 0.05 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.4 },
+        hud: { label: "spd", summary: "avg" },
+    },
+    showOff: {
+        type: "continuous",
+        min: 0.0,
+        max: 1.2,
+        init: { dist: "uniform", min: 0.0, max: 1.2 },
+        default: 0.3,
+        crossover: { op: "blend", noise: 0.05 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.5 },
+        hud: { label: "show", summary: "avg" },
+    },
+
+    // 행동(군집) 유전자 – boids.js 전역 파라미터(CONFIG / slimeParams)에 곱해지는 개체별 배수
+    // default 1.0 = 기존 공통 동작. 외톨이 / 밀착 군집 / trail 추종형이 갈라져 경쟁한다.
+    perception: {
+        // 이웃 인식 반경 (× neighborRadius)
+        type: "continuous",
+        min: 0.5,
+        max: 1.8,
+        init: { dist: "uniform", min: 0.6, max: 1.5 },
+        default: 1.0,
+        crossover: { op: "blend", noise: 0.05 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.3 },
+    },
+    alignment: {
+        // 정렬 가중치 (× alignWeight)
+        type: "continuous",
+        min: 0.0,
+        max: 2.0,
+        init: { dist: "uniform", min: 0.3, max: 1.7 },
+        default: 1.0,
+        crossover: { op: "blend", noise: 0.05 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.3 },
+    },
+    cohesion: {
+        // 응집 가중치 (× cohesionWeight)
+        type: "continuous",
+        min: 0.0,
+        max: 2.0,
+        init: { dist: "uniform", min: 0.3, max: 1.7 },
+        default: 1.0,
+        crossover: { op: "blend", noise: 0.05 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.3 },
+        hud: { label: "coh", summary: "avg" },
+    },
+    separation: {
+        // 분리 가중치 + 분리 반경 (× separationWeight, × separationRadius → 개체별 선호 간격)
+        type: "continuous",
+        min: 0.3,
+        max: 2.0,
+        init: { dist: "uniform", min: 0.5, max: 1.6 },
+        default: 1.0,
+        crossover: { op: "blend", noise: 0.05 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.3 },
+    },
+    trailFollow: {
+        // trail 추종 세기 (× W_TRAIL_FOLLOW)
+        type: "continuous",
+        min: 0.0,
+        max: 2.0,
+        init: { dist: "uniform", min: 0.2, max: 1.8 },
+        default: 1.0,
+        crossover: { op: "blend", noise: 0.05 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.3 },
+        hud: { label: "trl", summary: "avg" },
+    },
+    sensorAngle: {
+        // 좌/우 센서 각도 (× SENSOR_ANGLE, 좁으면 미로형 / 넓으면 탐험형)
+        type: "continuous",
+        min: 0.4,
+        max: 1.6,
+        init: { dist: "uniform", min: 0.5, max: 1.5 },
+        default: 1.0,
+        crossover: { op: "blend", noise: 0.05 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.3 },
+    },
+    sensorDistance: {
+        // 센서 거리 (× SENSOR_DISTANCE)
+        type: "continuous",
+        min: 0.5,
+        max: 1.5,
+        init: { dist: "uniform", min: 0.6, max: 1.4 },
+        default: 1.0,
+        crossover: { op: "blend", noise: 0.05 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.3 },
+    },
+
+    // 스킨(Gray-Scott 반응-확산) 유전자 – reaction-diffusion.js의 patternId 계열 기본값에 곱하는 배수
+    // default 1.0 = 계열 기본 무늬. kill은 조금만 움직여도 무늬가 사라지므로 범위를 좁게 둔다.
+    rdFeed: {
+        type: "continuous",
+        min: 0.8,
+        max: 1.2,
+        init: { dist: "uniform", min: 0.9, max: 1.1 },
+        default: 1.0,
+        crossover: { op: "blend", noise: 0.02 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.2 },
+        hud: { label: "F", summary: "avg" },
+    },
+    rdKill: {
+        type: "continuous",
+        min: 0.95,
+        max: 1.05,
+        init: { dist: "uniform", min: 0.97, max: 1.03 },
+        default: 1.0,
+        crossover: { op: "blend", noise: 0.005 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.2 },
+        hud: { label: "k", summary: "avg" },
+    },
+    rdDiffA: {
+        // 활성제(A) 확산 계수 배수 – 클수록 무늬 간격이 넓어진다
+        type: "continuous",
+        min: 0.6,
+        max: 1.6,
+        init: { dist: "uniform", min: 0.8, max: 1.25 },
+        default: 1.0,
+        crossover: { op: "blend", noise: 0.03 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.25 },
+    },
+    rdDiffB: {
+        // 억제제(B) 확산 계수 배수 – A 대비 너무 커지면 무늬가 번져 사라진다
+        type: "continuous",
+        min: 0.6,
+        max: 1.6,
+        init: { dist: "uniform", min: 0.8, max: 1.25 },
+        default: 1.0,
+        crossover: { op: "blend", noise: 0.03 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.25 },
+    },
+};
+
+export const GENE_NAMES = Object.keys(GENOME_SCHEMA);
+
+// L-System 식물 Genome (plants.js 식물 GA, boids와 공진화)
+// - 값은 lsystem.js createLSystem() 파라미터로 그대로 넘어간다.
+// - 위치 / 환경 자극(열·전류·진동)은 식물이 자라는 자리의 속성이라 genome에 넣지 않는다.
+export const PLANT_GENOME_SCHEMA = {
+    // 재작성 세대 수 (클수록 크고 복잡, 문자열 길이가 급격히 늘어 상한을 둔다)
+    genMax: {
+        type: "categorical",
+        options: [3, 4, 5, 6],
+        init: { dist: "choice" },
+        default: 5,
+        crossover: { op: "pick" },
+        mutation: { op: "resample", rate: 0.3 },
+    },
+    angleDeg: {
+        type: "continuous",
+        min: 10,
+        max: 45,
+        init: { dist: "uniform", min: 15, max: 35 },
+        default: 28,
+        crossover: { op: "blend", noise: 1.5 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.15 },
+        hud: { label: "ang", summary: "avg" },
+    },
+    step: {
+        type: "continuous",
+        min: 0.8,
+        max: 3.0,
+        init: { dist: "uniform", min: 1.2, max: 2.5 },
+        default: 1.8,
+        crossover: { op: "blend", noise: 0.1 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.15 },
+    },
+    baseRadius: {
+        type: "continuous",
+        min: 0.08,
+        max: 0.3,
+        init: { dist: "uniform", min: 0.12, max: 0.22 },
+        default: 0.15,
+        crossover: { op: "blend", noise: 0.01 },
+        mutation: { op: "perturb", rate: 0.8, amount: 0.15 },
+    },
+    scaleY: {
+        type: "continuous",
+        min: 0.8,
+        max: 2.0,
+        init: { dist: "uniform", min: 1.1, max: 1.6 },
+        default: 1.3,
+        crossover: { op: "blend", noise: 0.05 },
+        mutation: { op: "perturb", rate: 0.8, amount: 0.15 },
+    },
+    radiusDecay: {
+        type: "continuous",
+        min: 0.75,
+        max: 0.95,
+        init: { dist: "uniform", min: 0.82, max: 0.9 },
+        default: 0.86,
+        crossover: { op: "blend", noise: 0.01 },
+        mutation: { op: "perturb", rate: 0.8, amount: 0.15 },
+    },
+    branchProb: {
+        type: "continuous",
+        min: 0.5,
+        max: 1.0,
+        init: { dist: "uniform", min: 0.85, max: 0.98 },
+        default: 0.9,
+        crossover: { op: "blend", noise: 0.02 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.15 },
+        hud: { label: "br", summary: "avg" },
+    },
+    bendFactor: {
+        type: "continuous",
+        min: 0.05,
+        max: 0.5,
+        init: { dist: "uniform", min: 0.2, max: 0.35 },
+        default: 0.25,
+        crossover: { op: "blend", noise: 0.02 },
+        mutation: { op: "perturb", rate: 0.8, amount: 0.2 },
+    },
+    twistY: {
+        type: "continuous",
+        min: 0.0,
+        max: 0.25,
+        init: { dist: "uniform", min: 0.08, max: 0.15 },
+        default: 0.1,
+        crossover: { op: "blend", noise: 0.01 },
+        mutation: { op: "perturb", rate: 0.8, amount: 0.2 },
+    },
+    asymmetry: {
+        type: "continuous",
+        min: 0.2,
+        max: 0.8,
+        init: { dist: "uniform", min: 0.4, max: 0.6 },
+        default: 0.5,
+        crossover: { op: "blend", noise: 0.03 },
+        mutation: { op: "perturb", rate: 0.8, amount: 0.2 },
+    },
+    // 가지 끝 전하 구슬 생성 확률 → 구슬이 많을수록 boid에게 강한 영양원
+    chargeProb: {
+        type: "continuous",
+        min: 0.05,
+        max: 0.8,
+        init: { dist: "uniform", min: 0.2, max: 0.4 },
+        default: 0.3,
+        crossover: { op: "blend", noise: 0.03 },
+        mutation: { op: "perturb", rate: 1.0, amount: 0.2 },
+        hud: { label: "chg", summary: "avg" },
+    },
+    mergeRadius: {
+        type: "continuous",
+        min: 2.0,
+        max: 4.5,
+        init: { dist: "uniform", min: 2.5, max: 4.0 },
+        default: 3.0,
+        crossover: { op: "blend", noise: 0.1 },
+        mutation: { op: "perturb", rate: 0.6, amount: 0.15 },
+    },
+};
+
+/* =========================
+ * 값 보정
+ * ========================= */
+
+function wrap(v, min, max) {
+    const span = max - min;
+    return ((((v - min) % span) + span) % span) + min;
+}
+
+function clamp(v, min, max) {
+    return v < min ? min : v > max ? max : v;
+}
+
+/**
+ * 스키마 범위에 맞게 값 보정 (연속: clamp / 원형: wrap)
+ */
+export function normalizeGene(gene, v) {
+    if (gene.type === "circular") return wrap(v, gene.min, gene.max);
+    if (gene.type === "continuous") return clamp(v, gene.min, gene.max);
+    return v;
+}
+
+/* =========================
+ * 생성 / 복제
+ * ========================= */
+
+function sampleInit(gene, rng) {
+    if (gene.type === "categorical") {
+        return gene.options[rng.int(0, gene.options.length - 1)];
+    }
+    const init = gene.init ?? { min: gene.min, max: gene.max };
+    return normalizeGene(gene, rng.float(init.min, init.max));
+}
+
+/**
+ * 스키마 초기 분포로 Genome 생성
+ * @param {object} rng - random.js 스트림
+ * @param {object} [overrides] - 고정할 gene 값 (예: slot patternId)
+ */
+export function createRandomGenome(rng, overrides = {}, schema = GENOME_SCHEMA) {
+    const g = {};
+    for (const name in schema) {
+        g[name] = overrides[name] ?? sampleInit(schema[name], rng);
+    }
+    return g;
+}
+
+/**
+ * 모든 gene을 default 값으로 채운 Genome (GA 없이 boids만 띄울 때)
+ */
+export function createDefaultGenome(schema = GENOME_SCHEMA) {
+    const g = {};
+    for (const name in schema) g[name] = schema[name].default;
+    return g;
+}
+
+/**
+ * Genome 복제 (스키마 gene + 메타데이터 genId / id / parentIds)
+ */
+export function cloneGenome(g, schema = GENOME_SCHEMA) {
+    const out = {};
+    for (const name in schema) out[name] = g[name];
+    copyGenomeMeta(g, out);
+    return out;
+}
+
+// 계보 메타데이터 복사 (gene이 아닌 필드)
+function copyGenomeMeta(src, out) {
+    out.genId = typeof src?.genId === "number" ? src.genId : 0;
+    if (typeof src?.id === "number") out.id = src.id;
+    if (Array.isArray(src?.parentIds)) out.parentIds = src.parentIds.slice();
+    return out;
+}
+
+/**
+ * 외부 입력(JSON 등)을 스키마에 맞는 Genome으로 정리
+ * - 없는/잘못된 값은 default, 범위 밖 값은 clamp/wrap, 범주형은 options 안의 값만 허용
+ */
+export function sanitizeGenome(raw, schema = GENOME_SCHEMA) {
+    const out = {};
+    for (const name in schema) {
+        const gene = schema[name];
+        const v = raw?.[name];
+        if (gene.type === "categorical") {
+            out[name] = gene.options.includes(v) ? v : gene.default;
+        } else {
+            out[name] = typeof v === "number" && Number.isFinite(v) ? normalizeGene(gene, v) : gene.default;
+        }
+    }
+    return copyGenomeMeta(raw, out);
+}
+
+/* =========================
+ * Crossover / Mutation
+ * ========================= */
+
+function circularMean(a, b, min, max) {
+    const span = max - min;
+    let d = (b - a) % span;
+    if (d > span / 2) d -= span;
+    if (d < -span / 2) d += span;
+    return a + d * 0.5;
+}
+
+/**
+ * 두 부모의 gene별 crossover
+ */
+export function crossoverGenomes(gA, gB, rng, schema = GENOME_SCHEMA) {
+    const child = {};
+    for (const name in schema) {
+        const gene = schema[name];
+        const a = gA[name] ?? gene.default;
+        const b = gB[name] ?? gene.default;
+        const op = gene.crossover ?? { op: "pick" };
+
+        if (op.op === "blend" && gene.type !== "categorical") {
+            const mid = gene.type === "circular"
+                ? circularMean(a, b, gene.min, gene.max)
+                : (a + b) * 0.5;
+            const noise = op.noise ? rng.float(-op.noise, op.noise) : 0;
+            child[name] = normalizeGene(gene, mid + noise);
+        } else {
+            child[name] = rng.random() < 0.5 ? a : b;
+        }
+    }
+    return child;
+}
+
+/**
+ * gene별 mutation (in-place)
+ * @param {number} mutationRate - GA 기본 변이율 (gene.mutation.rate가 곱해진다)
+ * @param {number} [strength=1] - perturb 폭 배수
+ */
+export function mutateGenome(genome, rng, mutationRate, schema = GENOME_SCHEMA, strength = 1.0) {
+    for (const name in schema) {
+        const gene = schema[name];
+        const m = gene.mutation;
+        if (!m) continue;
+        if (rng.random() >= mutationRate * (m.rate ?? 1.0)) continue;
+
+        if (m.op === "resample" || gene.type === "categorical") {
+            genome[name] = sampleInit({ ...gene, init: { min: gene.min, max: gene.max } }, rng);
+        } else {
+            const span = gene.max - gene.min;
+            const delta = (rng.random() * 2 - 1) * span * (m.amount ?? 0.2) * strength;
+            genome[name] = normalizeGene(gene, genome[name] + delta);
+        }
+    }
+    return genome;
+}
+
+/* =========================
+ * 거리
+ * ========================= */
+
+/**
+ * 두 Genome 사이 정규화 거리 (0~1, gene 평균)
+ * - continuous: |a-b| / span
+ * - circular: 최단 호 / (span/2)
+ * - categorical: 같으면 0, 다르면 1
+ */
+export function genomeDistance(gA, gB, schema = GENOME_SCHEMA) {
+    let sum = 0;
+    let n = 0;
+    for (const name in schema) {
+        const gene = schema[name];
+        const a = gA[name] ?? gene.default;
+        const b = gB[name] ?? gene.default;
+        if (gene.type === "categorical") {
+            sum += a === b ? 0 : 1;
+        } else {
+            const span = gene.max - gene.min;
+            if (span <= 0) continue;
+            let d = Math.abs(a - b);
+            if (gene.type === "circular") {
+                d = d % span;
+                d = Math.min(d, span - d) / (span / 2);
+            } else {
+                d /= span;
+            }
+            sum += Math.min(1, d);
+        }
+        n++;
+    }
+    return n > 0 ? sum / n : 0;
+}
+
+/**
+ * population 다양성 (0~1, 1에 가까울수록 퍼져 있음)
+ * - continuous: 표준편차 / (균등분포 표준편차 span/√12)
+ * - circular: 원형 분산 1 - R (R: 평균 합성 벡터 길이)
+ * - categorical: 정규화 Shannon entropy (패턴 엔트로피)
+ * @returns {{ genes: Object<string, number>, geneAvg: number, patternEntropy: number, overall: number }}
+ *   overall = (연속/원형 gene 평균 + 범주형 entropy 평균) / 2
+ */
+export function measureDiversity(population, schema = GENOME_SCHEMA) {
+    const live = population.filter(Boolean);
+    const genes = {};
+    let geneSum = 0;
+    let geneCount = 0;
+    let entropySum = 0;
+    let entropyCount = 0;
+
+    for (const name in schema) {
+        const gene = schema[name];
+        const values = live.map((g) => g[name] ?? gene.default);
+        let d = 0;
+        if (values.length > 1) {
+            if (gene.type === "categorical") {
+                const k = gene.options.length;
+                let h = 0;
+                for (const opt of gene.options) {
+                    const p = values.filter((v) => v === opt).length / values.length;
+                    if (p > 0) h -= p * Math.log(p);
+                }
+                d = k > 1 ? h / Math.log(k) : 0;
+            } else if (gene.type === "circular") {
+                const span = gene.max - gene.min;
+                let cx = 0;
+                let cy = 0;
+                for (const v of values) {
+                    const a = ((v - gene.min) / span) * Math.PI * 2;
+                    cx += Math.cos(a);
+                    cy += Math.sin(a);
+                }
+                d = 1 - Math.hypot(cx, cy) / values.length;
+            } else {
+                const span = gene.max - gene.min;
+                const mean = values.reduce((acc, v) => acc + v, 0) / values.length;
+                const variance = values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / values.length;
+                d = span > 0 ? clamp(Math.sqrt(variance) / (span / Math.sqrt(12)), 0, 1) : 0;
+            }
+        }
+        genes[name] = d;
+        if (gene.type === "categorical") {
+            entropySum += d;
+            entropyCount++;
+        } else {
+            geneSum += d;
+            geneCount++;
+        }
+    }
+
+    const geneAvg = geneCount > 0 ? geneSum / geneCount : 0;
+    const patternEntropy = entropyCount > 0 ? entropySum / entropyCount : 0;
+    const overall = entropyCount > 0 && geneCount > 0
+        ? (geneAvg + patternEntropy) / 2
+        : geneAvg || patternEntropy;
+    return { genes, geneAvg, patternEntropy, overall };
+}
+
+/* =========================
+ * HUD 요약
+ * ========================= */
+
+/**
+ * population 요약 (스키마의 hud 설정 기준)
+ * @returns {{ counts: Object<string, number[]>, averages: Array<{name, label, value}> }}
+ */
+export function summarizePopulation(population, schema = GENOME_SCHEMA) {
+    const counts = {};
+    const averages = [];
+    const live = population.filter(Boolean);
+
+    for (const name in schema) {
+        const gene = schema[name];
+        if (!gene.hud) continue;
+
+        if (gene.hud.summary === "counts") {
+            const c = new Array(gene.options.length).fill(0);
+            for (const g of live) {
+                const k = gene.options.indexOf(g[name] ?? gene.default);
+                if (k >= 0) c[k]++;
+            }
+            counts[name] = c;
+        } else if (gene.hud.summary === "avg" && live.length > 0) {
+            let sum = 0;
+            for (const g of live) sum += typeof g[name] === "number" ? g[name] : gene.default;
+            averages.push({ name, label: gene.hud.label, value: sum / live.length });
+        }
+    }
+    return { counts, averages };
+}
+
+/* =========================
+ * 공유용 Genome 코드
+ * ========================= */
+
+// 코드 형식: "SG-" + base64url([버전, gene 바이트..., 체크섬])
+// - gene 하나당 1바이트: 연속은 범위를 0~255로 양자화, 원형은 한 바퀴를 256칸, 범주형은 options 인덱스
+// - gene 순서는 스키마 선언 순서 → 새 gene은 항상 스키마 끝에 추가해야 예전 코드가 그대로 읽힌다.
+//   (예전 코드에 없는 gene은 default, 코드에만 있는 gene은 무시)
+const GENOME_CODE_PREFIX = "SG-";
+const GENOME_CODE_VERSION = 1;
+
+function toBase64Url(bytes) {
+    let bin = "";
+    for (const b of bytes) bin += String.fromCharCode(b);
+    return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+    const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+    return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+function checksum(bytes) {
+    let sum = 0;
+    for (const b of bytes) sum = (sum * 31 + b) % 251;
+    return sum;
+}
+
+/**
+ * Genome → 짧은 공유 코드 (예: "SG-AXPMAm...")
+ * - 양자화 때문에 연속 gene은 범위의 1/255 정도 오차가 생긴다.
+ */
+export function encodeGenome(genome, schema = GENOME_SCHEMA) {
+    const bytes = [GENOME_CODE_VERSION];
+    for (const name in schema) {
+        const gene = schema[name];
+        const v = genome?.[name] ?? gene.default;
+        if (gene.type === "categorical") {
+            bytes.push(Math.max(0, gene.options.indexOf(v)));
+        } else if (gene.type === "circular") {
+            const t = (normalizeGene(gene, v) - gene.min) / (gene.max - gene.min);
+            bytes.push(Math.round(t * 256) % 256);
+        } else {
+            const t = (normalizeGene(gene, v) - gene.min) / (gene.max - gene.min);
+            bytes.push(Math.round(t * 255));
+        }
+    }
+    bytes.push(checksum(bytes));
+    return GENOME_CODE_PREFIX + toBase64Url(bytes);
+}
+
+/**
+ * 공유 코드 → Genome (gene 값만, id / 계보 없음)
+ * - 형식 / 버전 / 체크섬이 맞지 않으면 Error
+ */
+export function decodeGenome(code, schema = GENOME_SCHEMA) {
+    const text = String(code ?? "").trim();
+    if (!text.startsWith(GENOME_CODE_PREFIX)) {
+        throw new Error(`[Genome] genome 코드는 ${GENOME_CODE_PREFIX}로 시작해야 합니다.`);
+    }
+    let bytes;
+    try {
+        bytes = fromBase64Url(text.slice(GENOME_CODE_PREFIX.length));
+    } catch {
+        throw new Error("[Genome] genome 코드를 읽을 수 없습니다.");
+    }
+    if (bytes.length < 2 || checksum(bytes.subarray(0, bytes.length - 1)) !== bytes[bytes.length - 1]) {
+        throw new Error("[Genome] genome 코드가 손상되었습니다. (체크섬 불일치)");
+    }
+    if (bytes[0] > GENOME_CODE_VERSION) {
+        throw new Error(`[Genome] 지원하지 않는 genome 코드 버전입니다: ${bytes[0]}`);
+    }
+
+    const geneBytes = bytes.subarray(1, bytes.length - 1);
+    const g = createDefaultGenome(schema);
+    let k = 0;
+    for (const name in schema) {
+        if (k >= geneBytes.length) break;
+        const gene = schema[name];
+        const b = geneBytes[k++];
+        if (gene.type === "categorical") {
+            g[name] = gene.options[b] ?? gene.default;
+        } else if (gene.type === "circular") {
+            g[name] = gene.min + (b / 256) * (gene.max - gene.min);
+        } else {
+            g[name] = gene.min + (b / 255) * (gene.max - gene.min);
+        }
+    }
+    return g;
+}
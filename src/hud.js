@@ -29,8 +29,9 @@ export function createHUD() {
     /**
      * @param {number} frameTime - 이번 프레임 렌더링 시간(ms)
      * @param {object|null} gaStats - GA 요약 정보 (generation, patternCounts 등)
+     * @param {object|null} neighborStats - boids 이웃 질의 비용 (getNeighborQueryStats)
      */
-    update: (frameTime, gaStats = null) => {
+    update: (frameTime, gaStats = null, neighborStats = null) => {
       frames++;
       accMs += frameTime;
       const now = performance.now();
@@ -40,19 +41,124 @@ export function createHUD() {
         const avg = (accMs / frames).toFixed(1);
         let text = `FPS: ${fps} | Avg: ${avg} ms`;
 
+        // 격자 broadphase 이웃 질의 비용 (개체당 후보 수 = 실제 거리 검사 횟수)
+        if (neighborStats && neighborStats.agents > 0) {
+          const n = neighborStats.agents;
+          text += `\nboids:${n} | nbr ${neighborStats.ms.toFixed(2)} ms`;
+          text += ` cand/boid:${(neighborStats.candidates / n).toFixed(1)}`;
+          text += ` pairs/boid:${(neighborStats.pairs / n).toFixed(1)}`;
+          text += ` cells:${neighborStats.cells}`;
+        }
+
         if (gaStats) {
           const gen = gaStats.generation ?? 0;
           const pc = gaStats.patternCounts || [0, 0, 0, 0, 0];
-          const avgScale = gaStats.avgScale?.toFixed(2) ?? "–";
-          const avgSpeed = gaStats.avgSpeed?.toFixed(2) ?? "–";
-          const avgShow = gaStats.avgShow?.toFixed(2) ?? "–";
+          // gene 평균 (genome.js 스키마 hud 설정 순서)
+          const avgs = (gaStats.geneAverages || [])
+            .map((a) => `⌀${a.label}:${a.value.toFixed(2)}`)
+            .join(" ");
           const bestFit =
             typeof gaStats.bestFitness === "number"
               ? gaStats.bestFitness.toFixed(2)
               : "–";
 
           text += `\nGen ${gen} | P0:${pc[0] ?? 0} P1:${pc[1] ?? 0} P2:${pc[2] ?? 0} P3:${pc[3] ?? 0} P4:${pc[4] ?? 0}`;
-          text += `\n⌀scale:${avgScale} ⌀spd:${avgSpeed} ⌀show:${avgShow} | best:${bestFit}`;
+          text += `\n${avgs || "⌀ –"} | best:${bestFit}`;
+          if (typeof gaStats.paretoFrontSize === "number") {
+            text += ` | front:${gaStats.paretoFrontSize}`;
+          }
+
+          // 이번 세대에 사용된 selection 전략
+          const sel = gaStats.selection;
+          if (sel) {
+            const parent = sel.parent === "tournament" ? `tournament(${sel.tournamentSize})` : sel.parent;
+            text += `\nsel: ${parent} / ${sel.survivor}`;
+            if (sel.speciation && sel.speciation !== "off") text += ` / species:${sel.speciation}`;
+            if (sel.mating === "spatial") text += ` / mating:spatial`;
+          }
+
+          // 다양성 (gene 분산 / 패턴 엔트로피) + 실제 변이율
+          const div = gaStats.diversity;
+          const mut = gaStats.mutation;
+          if (div || mut) {
+            let line = "\n";
+            if (div) {
+              line += `div:${div.overall.toFixed(2)} (gene ${div.geneAvg.toFixed(2)} / P ${div.patternEntropy.toFixed(2)})`;
+            }
+            if (mut) {
+              line += `${div ? " | " : ""}mut:${mut.rate.toFixed(2)}`;
+              if (mut.adaptive) line += ` ×${mut.strength.toFixed(2)}`;
+            }
+            text += line;
+          }
+
+          // 환경 → 이번 세대 fitness 달콤 지점 (속도 / spot 개수·크기)
+          const env = gaStats.environment;
+          const ranges = gaStats.fitnessRanges;
+          if (env && ranges) {
+            const rng = (r, d) => `${r[0].toFixed(d)}–${r[1].toFixed(d)}`;
+            text +=
+              `\nenv h:${env.heatLevel.toFixed(1)} n:${env.electricNoise.toFixed(1)} i:${env.idleCycles}` +
+              ` → spd ${rng(ranges.speed, 2)} spots ${rng(ranges.spotCount, 0)}/${rng(ranges.spotSize, 0)}`;
+          }
+
+          // island model: island별 최고 fitness / 우세 패턴
+          const islands = gaStats.islands;
+          if (islands && islands.length > 0) {
+            const parts = islands.map(
+              (isl) => `${isl.id}:${isl.bestFitness.toFixed(2)}/P${isl.dominantPattern}`
+            );
+            text += `\nisl ${parts.join(" ")}`;
+          }
+
+          // 식물 공진화: 식물 세대 / 최고 방문 fitness / 형태 평균
+          const plants = gaStats.plants;
+          if (plants) {
+            const avg = plants.averages.map((a) => `${a.label}:${a.value.toFixed(2)}`).join(" ");
+            text += `\nplants g:${plants.generation} best:${plants.bestFitness.toFixed(2)} ${avg}`;
+          }
+
+          // Hall of fame: 보관 수 / 보관 최고 fitness / 정체 세대 수
+          const hof = gaStats.hallOfFame;
+          if (hof && hof.size > 0) {
+            text += `\nhof ${hof.size} best:${hof.bestFitness.toFixed(3)} stall:${hof.stagnantGenerations}`;
+            if (hof.lastReintroduction) text += ` ↺${hof.lastReintroduction.slots.length}`;
+          }
+
+          // 에너지 생태 모드: 생존 수 / 평균 에너지 / 누적 출생·사망
+          const eco = gaStats.ecology;
+          if (eco) {
+            text += `\neco alive:${eco.alive} E:${eco.avgEnergy.toFixed(0)} born:${eco.births} died:${eco.deaths}`;
+          }
+
+          // 포식자: 활동 수 / 추적 중 / 누적 포획
+          const pred = gaStats.predators;
+          if (pred) {
+            text += `\npred ${pred.active} hunting:${pred.hunting} caught:${pred.catches}`;
+          }
+
+          // 관람객 좋아요 (이번 세대 창 누적)
+          if (gaStats.likeMode) {
+            text += `\n♥ likes:${gaStats.likes ?? 0}`;
+          }
+
+          // 종(patternId)별 개체 수 / 최고 fitness
+          const species = gaStats.species;
+          if (sel && sel.speciation && sel.speciation !== "off" && species) {
+            const parts = species.map(
+              (s) => `${s.name}:${s.count}(${typeof s.bestFitness === "number" ? s.bestFitness.toFixed(2) : "–"})`
+            );
+            text += `\nspecies ${parts.join(" ")}`;
+          }
+
+          // fitness term별 평균 기여도
+          const terms = gaStats.termContributions;
+          if (terms && Object.keys(terms).length > 0) {
+            const parts = Object.entries(terms).map(
+              ([name, v]) => `${name}:${v.toFixed(2)}`
+            );
+            text += `\nfit ⌀ ${parts.join(" ")}`;
+          }
         }
 
         hud.textContent = text;
@@ -64,3 +170,177 @@ export function createHUD() {
   };
 }
 
+
+/**
+ * 2D 산점도 패널 (pareto front 표시용)
+ * - points: [{ x, y, rank }] (x/y는 0~1 범위 가정)
+ * - rank 0 (front)은 밝게, 나머지는 어둡게 그린다.
+ */
+export function createScatterPanel({ title = "Pareto Front", size = 180 } = {}) {
+  const panel = document.createElement("div");
+  Object.assign(panel.style, {
+    position: "fixed",
+    left: "10px",
+    bottom: "10px",
+    padding: "6px 8px",
+    background: "rgba(0,0,0,0.55)",
+    color: "#9ad",
+    fontFamily: "monospace",
+    fontSize: "11px",
+    borderRadius: "6px",
+    zIndex: 9999,
+    pointerEvents: "none",
+    display: "none",
+  });
+
+  const label = document.createElement("div");
+  label.textContent = title;
+  panel.appendChild(label);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  panel.appendChild(canvas);
+  document.body.appendChild(panel);
+
+  const ctx = canvas.getContext("2d");
+  const pad = 14;
+
+  return {
+    element: panel,
+    setVisible: (visible) => {
+      panel.style.display = visible ? "block" : "none";
+    },
+    /**
+     * @param {Array<{x:number,y:number,rank:number}>} points
+     * @param {string} xLabel
+     * @param {string} yLabel
+     */
+    draw: (points, xLabel = "x", yLabel = "y") => {
+      const inner = size - pad * 2;
+      ctx.clearRect(0, 0, size, size);
+
+      // 축
+      ctx.strokeStyle = "rgba(154,170,221,0.4)";
+      ctx.beginPath();
+      ctx.moveTo(pad, pad);
+      ctx.lineTo(pad, size - pad);
+      ctx.lineTo(size - pad, size - pad);
+      ctx.stroke();
+
+      ctx.fillStyle = "#9ad";
+      ctx.fillText(xLabel, size - pad - ctx.measureText(xLabel).width, size - 2);
+      ctx.fillText(yLabel, 2, pad - 4);
+
+      // 점수가 이산값(0/0.5/1)이라 겹치기 쉬워서, 인덱스 기반 작은 오프셋을 준다.
+      points.forEach((p, i) => {
+        const jx = ((i * 7) % 5 - 2) * 1.5;
+        const jy = ((i * 3) % 5 - 2) * 1.5;
+        const px = pad + Math.min(1, Math.max(0, p.x)) * inner + jx;
+        const py = size - pad - Math.min(1, Math.max(0, p.y)) * inner + jy;
+        ctx.fillStyle = p.rank === 0 ? "#ffc54b" : "rgba(154,170,221,0.45)";
+        ctx.beginPath();
+        ctx.arc(px, py, p.rank === 0 ? 3 : 2, 0, Math.PI * 2);
+        ctx.fill();
+      });
+
+      label.textContent = `${title} (${xLabel} × ${yLabel})`;
+    },
+  };
+}
+
+/**
+ * 계보(family tree) 패널
+ * - levels[0] = 선택한 개체, levels[k] = k단계 위 조상 (위쪽이 더 오래된 세대)
+ * - 노드: { id, label, color, parentIds }
+ */
+export function createLineagePanel({ title = "Lineage", width = 320, height = 220 } = {}) {
+  const panel = document.createElement("div");
+  Object.assign(panel.style, {
+    position: "fixed",
+    right: "10px",
+    bottom: "10px",
+    padding: "6px 8px",
+    background: "rgba(0,0,0,0.55)",
+    color: "#9ad",
+    fontFamily: "monospace",
+    fontSize: "11px",
+    borderRadius: "6px",
+    zIndex: 9999,
+    pointerEvents: "none",
+    display: "none",
+  });
+
+  const label = document.createElement("div");
+  label.textContent = title;
+  panel.appendChild(label);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  panel.appendChild(canvas);
+  document.body.appendChild(panel);
+
+  const ctx = canvas.getContext("2d");
+  const pad = 14;
+
+  return {
+    element: panel,
+    setVisible: (visible) => {
+      panel.style.display = visible ? "block" : "none";
+    },
+    /**
+     * @param {Array<Array<{id:number,label:string,color:string,parentIds:number[]}>>} levels
+     * @param {string} caption
+     */
+    draw: (levels, caption = "") => {
+      ctx.clearRect(0, 0, width, height);
+      label.textContent = caption ? `${title} – ${caption}` : title;
+      if (!levels || levels.length === 0) return;
+
+      // 단계별 노드 위치 (가장 오래된 조상이 위)
+      const rows = levels.length;
+      const rowGap = rows > 1 ? (height - pad * 2) / (rows - 1) : 0;
+      const positions = levels.map((level, depth) => {
+        const y = height - pad - depth * rowGap;
+        const map = new Map();
+        level.forEach((node, k) => {
+          const x = pad + ((k + 0.5) / level.length) * (width - pad * 2);
+          map.set(node.id, { x, y });
+        });
+        return map;
+      });
+
+      // 부모 → 자식 연결선
+      ctx.strokeStyle = "rgba(154,170,221,0.35)";
+      levels.forEach((level, depth) => {
+        const up = positions[depth + 1];
+        if (!up) return;
+        for (const node of level) {
+          const from = positions[depth].get(node.id);
+          for (const pid of node.parentIds) {
+            const to = up.get(pid);
+            if (!to) continue;
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+          }
+        }
+      });
+
+      // 노드 + 라벨
+      levels.forEach((level, depth) => {
+        for (const node of level) {
+          const p = positions[depth].get(node.id);
+          ctx.fillStyle = node.color;
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, depth === 0 ? 6 : 4, 0, Math.PI * 2);
+          ctx.fill();
+          ctx.fillStyle = "#9ad";
+          ctx.fillText(node.label, p.x + 6, p.y - 4);
+        }
+      });
+    },
+  };
+}
@@ -1,4 +1,5 @@
 import * as THREE from "three";
+import { pickBoid, addBoidLike, getBoidPosition } from "./boids.js";
 
 /* ========================= 
  * 상태 관리
@@ -14,8 +15,15 @@ const mouseState = {
     worldPosition: new THREE.Vector3(), // 월드 3D 좌표
     isClicked: false,
     clickRadius: 15.0, // 월드 단위 영향 범위
+    // 클릭 모드
+    // - "dormant": 범위 내 식물 휴면 (기본)
+    // - "like": 클릭한 boid에 좋아요 (interactive evolution)
+    clickMode: "dormant",
 };
 
+// 좋아요 콜백 (index, likes) → main.js가 HUD 갱신 등에 사용
+let _onBoidLiked = null;
+
 // 휴면 상태 관리
 const dormantState = new Map(); // plantMesh.uuid → { startTime, duration }
 
@@ -59,6 +67,10 @@ function setupMouseListeners() {
 }
 
 function onMouseMove(event) {
+    updatePointer(event);
+}
+
+function updatePointer(event) {
     const rect = _renderer.domElement.getBoundingClientRect();
 
     // 정규화된 화면 좌표 (-1 ~ 1)
@@ -70,6 +82,14 @@ function onMouseMove(event) {
 }
 
 function onMouseClick(event) {
+    // 터치 등 mousemove 없이 들어온 클릭도 정확한 위치를 쓰도록 갱신
+    updatePointer(event);
+
+    if (mouseState.clickMode === "like") {
+        likeBoidUnderCursor();
+        return;
+    }
+
     console.log(`[Interaction] 🖱️ 클릭! 위치: (${mouseState.worldPosition.x.toFixed(1)}, ${mouseState.worldPosition.z.toFixed(1)})`);
 
     // 범위 내 식물 찾기 및 휴면 상태 적용
@@ -79,6 +99,42 @@ function onMouseClick(event) {
     showClickEffect();
 }
 
+/* ========================= 
+ * 좋아요 (interactive evolution)
+ * ========================= */
+function likeBoidUnderCursor() {
+    const index = pickBoid(mouseState.position, _camera);
+    if (index < 0) return;
+
+    const likes = addBoidLike(index);
+    console.log(`[Interaction] 💗 boid #${index} 좋아요 (${likes})`);
+
+    const pos = getBoidPosition(index);
+    if (pos) mouseState.worldPosition.set(pos.x, 0, pos.z);
+    showClickEffect(0xff4fa3, 0.3); // boid 크기에 맞춘 작은 분홍 원
+
+    if (_onBoidLiked) _onBoidLiked(index, likes);
+}
+
+/**
+ * 클릭 모드 전환 ("dormant" | "like")
+ */
+export function setClickMode(mode) {
+    mouseState.clickMode = mode === "like" ? "like" : "dormant";
+}
+
+export function getClickMode() {
+    return mouseState.clickMode;
+}
+
+/**
+ * 좋아요 이벤트 콜백 등록
+ * @param {(index: number, likes: number) => void} fn
+ */
+export function onBoidLiked(fn) {
+    _onBoidLiked = fn;
+}
+
 /* ========================= 
  * 월드 좌표 변환 (레이캐스팅)
  * ========================= */
@@ -184,9 +240,11 @@ function applyDormantState() {
 /* ========================= 
  * 클릭 효과 애니메이션
  * ========================= */
-function showClickEffect() {
+function showClickEffect(color = 0xff6b35, scale = 1.0) {
     if (!effectCircle) return;
 
+    effectCircle.material.color.setHex(color);
+    effectCircle.scale.set(scale, scale, 1);
     effectCircle.position.x = mouseState.worldPosition.x;
     effectCircle.position.z = mouseState.worldPosition.z;
     effectCircle.material.opacity = 0.6;
@@ -289,6 +347,7 @@ export function getInteractionState() {
     return {
         mouseWorld: mouseState.worldPosition.clone(),
         clickRadius: mouseState.clickRadius,
+        clickMode: mouseState.clickMode,
         dormantCount: dormantState.size,
         dormantPlants: Array.from(dormantState.keys()).map((uuid) => uuid.slice(0, 8)),
     };
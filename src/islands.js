@@ -0,0 +1,371 @@
+// islands.js - Island model GA (부분 population + 주기적 이주)
+// - 40개 boid 슬롯을 연속 구간(island)으로 나누고, island마다 독립된 GeneticAlgorithm으로 진화시킨다.
+// - migrationInterval 세대마다 각 island의 엘리트 몇 개가 이웃 island로 이주 → 지역별 "품종" 형성
+// - host GA(main.js의 state.ga)가 전체 population / 계보 / 옵션(GUI)을 그대로 들고 있고,
+//   island는 매 세대 host 옵션과 fitness term을 따라간다. island를 끄면 host GA가 그대로 이어받는다.
+// - DOM / Three.js 의존 없음
+
+import { GeneticAlgorithm, RD_PATTERN_TABLE } from "./ga.js";
+import { getRandomStream } from "./random.js";
+import { measureDiversity } from "./genome.js";
+
+// 이주 경로
+// - ring: island k → k+1 (마지막은 0으로)
+// - random: 자기 자신을 제외한 임의의 island
+export const MIGRATION_TOPOLOGIES = ["ring", "random"];
+
+/**
+ * population 인덱스 [0, N)을 count개의 연속 구간으로 분할
+ * - slotPatternIds가 i % 5라서 구간마다 패턴 A~E가 고르게 섞인다.
+ */
+export function partitionIndices(N, count) {
+    const k = Math.max(1, Math.min(count, N));
+    const out = [];
+    let start = 0;
+    for (let i = 0; i < k; i++) {
+        const size = Math.floor(N / k) + (i < N % k ? 1 : 0);
+        out.push(Array.from({ length: size }, (_, j) => start + j));
+        start += size;
+    }
+    return out;
+}
+
+export class IslandModel {
+    /**
+     * @param {GeneticAlgorithm} host - 전체 population / 계보 / 옵션을 가진 GA
+     * @param {object} opts
+     * @param {number} [opts.islandCount=4]
+     * @param {number} [opts.migrationInterval=5] - 몇 세대마다 이주할지
+     * @param {number} [opts.migrationSize=1] - island당 이주하는 엘리트 수
+     * @param {string} [opts.migrationTopology="ring"] - MIGRATION_TOPOLOGIES 중 하나
+     */
+    constructor(host, opts = {}) {
+        this.host = host;
+        this.islandCount = opts.islandCount ?? 4;
+        this.migrationInterval = opts.migrationInterval ?? 5;
+        this.migrationSize = opts.migrationSize ?? 1;
+        this.migrationTopology = opts.migrationTopology ?? "ring";
+        this.rng = opts.rng ?? getRandomStream("ga.migration");
+
+        // 마지막 이주 기록 [{ generation, from, to, ids, indices }]
+        this.lastMigration = [];
+        this.lastEvaluation = null;
+
+        this._buildIslands();
+    }
+
+    /* ========== 구성 ========== */
+
+    /**
+     * host의 현재 population을 island로 나눠 GA 인스턴스 생성
+     */
+    _buildIslands() {
+        const host = this.host;
+        const N = host.populationSize;
+        if (host.population.length !== N) {
+            throw new Error("[Islands] host GA population이 초기화되지 않았습니다.");
+        }
+
+        this.islands = partitionIndices(N, this.islandCount).map((indices, k) => {
+            const ga = new GeneticAlgorithm({
+                ...host.getOptions(),
+                populationSize: indices.length,
+                slotPatternIds: indices.map((i) => host.slotPatternIds[i]),
+                rng: getRandomStream(`ga.island${k}`),
+                schema: host.schema,
+                lineageHost: host,
+            });
+            ga.population = indices.map((i) => host.population[i]);
+            ga.fitness = indices.map((i) => host.fitness[i] ?? 0);
+            ga.generation = host.generation;
+            return { id: k, indices, ga };
+        });
+        this.islandCount = this.islands.length;
+        this._syncOptions();
+    }
+
+    /**
+     * host 옵션 / 환경 / fitness term을 island에 반영 (GUI 변경 사항을 따라가도록 매 세대 호출)
+     * - term 객체는 host와 공유하므로 가중치 변경도 그대로 적용된다.
+     * - hall of fame은 host 보관소 하나만 쓴다. (island GA는 보관/자동 재투입 끔, nextGeneration에서 host 기준으로)
+     */
+    _syncOptions() {
+        const opts = { ...this.host.getOptions(), hallOfFameSize: 0, autoReintroduce: false };
+        for (const island of this.islands) {
+            island.ga.setOptions(opts);
+            island.ga.hallOfFame = [];
+            island.ga.setEnvironment(this.host.environment);
+            island.ga.fitnessTerms = new Map(this.host.fitnessTerms);
+        }
+    }
+
+    get generation() {
+        return this.host.generation;
+    }
+
+    getPopulation() {
+        return this.host.getPopulation();
+    }
+
+    /**
+     * boid 인덱스 → island id (boids.js 무리 분리용)
+     */
+    getIslandOfIndex() {
+        const out = new Array(this.host.populationSize).fill(0);
+        for (const island of this.islands) {
+            for (const i of island.indices) out[i] = island.id;
+        }
+        return out;
+    }
+
+    /* ========== Evaluation ========== */
+
+    /**
+     * island별 평가 후 전체 인덱스로 합친다.
+     * - 반환 형태는 GeneticAlgorithm.evaluatePopulation()과 같고 islands 요약이 추가된다.
+     * @param {object[]|null} [behaviorStats] - 전체 인덱스 기준 행동 통계
+     */
+    evaluatePopulation(behaviorStats = null) {
+        this._syncOptions();
+        const host = this.host;
+        const N = host.populationSize;
+        const fitness = new Array(N).fill(0);
+        const survivors = [];
+        const doomed = [];
+        const termSums = {};
+        const islands = [];
+
+        for (const island of this.islands) {
+            const stats = behaviorStats ? island.indices.map((i) => behaviorStats[i]) : null;
+            const info = island.ga.evaluatePopulation(stats);
+            const toGlobal = (local) => island.indices[local];
+
+            island.indices.forEach((gi, local) => {
+                fitness[gi] = info.fitness[local];
+            });
+            survivors.push(...info.survivors.map(toGlobal));
+            doomed.push(...info.doomed.map(toGlobal));
+            for (const [name, v] of Object.entries(info.termContributions ?? {})) {
+                termSums[name] = (termSums[name] ?? 0) + v * island.indices.length;
+            }
+
+            const counts = new Array(RD_PATTERN_TABLE.length).fill(0);
+            for (const g of island.ga.population) counts[g.patternId] = (counts[g.patternId] ?? 0) + 1;
+            const best = Math.max(...info.fitness);
+            islands.push({
+                id: island.id,
+                size: island.indices.length,
+                bestFitness: best,
+                avgFitness: info.fitness.reduce((a, b) => a + b, 0) / info.fitness.length,
+                patternCounts: counts,
+                dominantPattern: counts.indexOf(Math.max(...counts)),
+                mutationRate: info.mutation?.rate ?? island.ga.mutationRate,
+            });
+        }
+
+        const termContributions = {};
+        for (const name in termSums) termContributions[name] = termSums[name] / N;
+
+        // host 쪽 캐시도 전체 기준으로 갱신 (HUD / 계보 / 저장이 host를 읽는다)
+        const sortedIndices = Array.from({ length: N }, (_, i) => i).sort((a, b) => fitness[b] - fitness[a]);
+        host.fitness = fitness;
+        host.lastSortedIndices = sortedIndices;
+        host.lastSurvivors = survivors;
+        host.lastDoomed = doomed;
+        host.lastTermContributions = termContributions;
+        host.lastDiversity = measureDiversity(host.population, host.schema);
+        for (let i = 0; i < N; i++) {
+            const entry = host.lineage.get(host.population[i].id);
+            if (entry) entry.fitness = fitness[i];
+        }
+        host._updateHallOfFame();
+
+        this.lastEvaluation = {
+            fitness,
+            sortedIndices,
+            survivors,
+            doomed,
+            termContributions,
+            pareto: null,
+            selection: host.getSelectionInfo(),
+            diversity: host.lastDiversity,
+            mutation: host.getMutationInfo(),
+            environment: { ...host.environment },
+            fitnessRanges: host.fitnessRanges,
+            hallOfFame: host.getHallOfFameInfo(),
+            islands,
+            migration: this.lastMigration,
+        };
+        return this.lastEvaluation;
+    }
+
+    getLastEvaluationInfo() {
+        return this.lastEvaluation ?? { fitness: this.host.fitness, survivors: [], doomed: [] };
+    }
+
+    /* ========== Reproduction & Migration ========== */
+
+    /**
+     * 전체 인덱스 기준 만남 기록을 island 로컬 인덱스로 나눠 전달 (spatial mating)
+     * - 다른 island 개체와의 만남은 버린다.
+     */
+    setEncounters(encounters) {
+        for (const island of this.islands) {
+            if (!encounters) {
+                island.ga.setEncounters(null);
+                continue;
+            }
+            const local = new Map(island.indices.map((gi, li) => [gi, li]));
+            island.ga.setEncounters(
+                island.indices.map((gi) => {
+                    const met = {};
+                    for (const [j, t] of Object.entries(encounters[gi] ?? {})) {
+                        const lj = local.get(Number(j));
+                        if (lj !== undefined) met[lj] = t;
+                    }
+                    return met;
+                })
+            );
+        }
+    }
+
+    /**
+     * 마지막 번식의 슬롯별 부모 (전체 인덱스)
+     * - 이주자가 도착한 슬롯은 부모 근처에서 태어난 개체가 아니므로 제외
+     */
+    getLastMatings() {
+        const out = {};
+        for (const island of this.islands) {
+            for (const [slot, parents] of Object.entries(island.ga.getLastMatings())) {
+                out[island.indices[slot]] = parents.map((p) => island.indices[p]);
+            }
+        }
+        for (const m of this.lastMigration) {
+            for (const gi of m.indices) delete out[gi];
+        }
+        return out;
+    }
+
+    /**
+     * island별 다음 세대 생성 + (주기가 되면) 이주
+     * - 이주자는 도태된 슬롯에만 도착하므로, 새 genome이 들어간 자리는 여전히 평가 때의 doomed와 같다.
+     */
+    nextGeneration() {
+        if (!this.lastEvaluation) this.evaluatePopulation();
+
+        // 이주할 엘리트는 번식 전 순위 기준으로 고른다. (생존자라서 새 세대에도 같은 자리에 남아 있음)
+        // 도착 자리는 도태된 슬롯 중 순위가 가장 낮은 쪽부터 (새 세대에서는 방금 태어난 자식 자리)
+        const elites = this.islands.map((island) =>
+            island.ga.lastSortedIndices.slice(0, this.migrationSize)
+        );
+        const arrivals = this.islands.map((island) => island.ga.lastDoomed.slice().reverse());
+        // 자동 재투입 자리: 전체 순위가 가장 낮은 도태 슬롯부터 (새 세대에서는 방금 태어난 자식 자리)
+        const doomedSet = new Set(this.host.lastDoomed);
+        const reintroduceSlots = this.host.lastSortedIndices.filter((gi) => doomedSet.has(gi)).reverse();
+
+        for (const island of this.islands) island.ga.nextGeneration();
+
+        const host = this.host;
+        host.generation = this.islands[0].ga.generation;
+
+        this.lastMigration = [];
+        if (
+            this.islands.length > 1 &&
+            this.migrationSize > 0 &&
+            this.migrationInterval > 0 &&
+            host.generation % this.migrationInterval === 0
+        ) {
+            this.lastMigration = this._migrate(elites, arrivals);
+        }
+
+        // 전체 population 재조립
+        const population = new Array(host.populationSize);
+        for (const island of this.islands) {
+            island.indices.forEach((gi, local) => {
+                population[gi] = island.ga.population[local];
+            });
+        }
+        host.population = population;
+
+        // 자동 재투입: host 보관소 기준으로 정체를 판단하고, 이주자가 막 도착한 자리는 건너뛴다.
+        host.lastReintroduction = null;
+        if (host.autoReintroduce && host.stagnantGenerations >= host.reintroducePatience) {
+            const migrated = new Set(this.lastMigration.flatMap((m) => m.indices));
+            const slots = reintroduceSlots.filter((gi) => !migrated.has(gi));
+            this.reintroduceElites(host.reintroduceCount, slots);
+        }
+
+        host.fitness = new Array(host.populationSize).fill(0);
+        host.lastSortedIndices = [];
+        host.lastSurvivors = [];
+        host.lastDoomed = [];
+        host._pruneLineage();
+
+        this.lastEvaluation = null;
+        return host.population;
+    }
+
+    /**
+     * host 보관소의 개체를 재투입하고 해당 island population에도 반영 (GUI 수동 재투입)
+     * @returns {number[]} 채운 전체 인덱스
+     */
+    reintroduceElites(count, slots = null, entryIndices = null) {
+        const filled = this.host.reintroduceElites(count, slots, entryIndices);
+        for (const gi of filled) this._writeBack(gi);
+        return filled;
+    }
+
+    /**
+     * 외부 genome을 전체 인덱스 slot에 주입하고 해당 island population에도 반영
+     */
+    injectGenome(slot, raw) {
+        const genome = this.host.injectGenome(slot, raw);
+        this._writeBack(slot);
+        return genome;
+    }
+
+    // host population의 한 슬롯을 해당 island population에 반영
+    _writeBack(gi) {
+        const island = this.islands.find((isl) => isl.indices.includes(gi));
+        island.ga.population[island.indices.indexOf(gi)] = this.host.population[gi];
+    }
+
+    _migrationTarget(k) {
+        const K = this.islands.length;
+        if (this.migrationTopology === "random") {
+            const r = this.rng.int(0, K - 2);
+            return r >= k ? r + 1 : r;
+        }
+        return (k + 1) % K;
+    }
+
+    /**
+     * 엘리트 복사 이주
+     * - 출발 island에는 원본이 남고, 도착 island의 가장 낮은 순위 자리(방금 태어난 자식)를 대체한다.
+     * - 이주자는 같은 id를 유지한다. (같은 개체의 복사본)
+     * @param {number[][]} elites - island별 이주할 로컬 인덱스
+     * @param {number[][]} arrivals - island별 도착 가능한 로컬 슬롯 (우선순위 순)
+     */
+    _migrate(elites, arrivals) {
+        const records = [];
+        const slots = arrivals.map((list) => list.slice());
+
+        this.islands.forEach((from, k) => {
+            const to = this.islands[this._migrationTarget(k)];
+            const ids = [];
+            const indices = [];
+            for (const local of elites[k]) {
+                const slot = slots[to.id].shift();
+                if (slot == null) break;
+                const migrant = to.ga._cloneGenome(from.ga.population[local]);
+                to.ga.population[slot] = migrant;
+                ids.push(migrant.id);
+                indices.push(to.indices[slot]);
+            }
+            if (ids.length > 0) {
+                records.push({ generation: this.host.generation, from: from.id, to: to.id, ids, indices });
+            }
+        });
+        return records;
+    }
+}
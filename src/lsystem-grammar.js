@@ -0,0 +1,87 @@
+// lsystem-grammar.js - L-System 문자열 재작성 규칙 (순수 함수)
+// - lsystem.js (브라우저 렌더링)와 tools/batch.js (Node 헤드리스 실행)가 같이 사용한다.
+// - DOM / Three.js 의존 없음
+
+/**
+ * 환경 자극 → 성장 배율
+ * - 열 + 전류 → 성장 촉진
+ */
+export function growthBoost(heatLevel = 0, electricNoise = 0) {
+  return 1.0 + (heatLevel * 0.3 + electricNoise * 0.2);
+}
+
+/**
+ * L-System 규칙 적용 (비정형 유기체 형태)
+ * @param {string} axiom
+ * @param {number} gen - 재작성 세대 수
+ * @param {object} opts
+ * @param {object} opts.rng - random.js 스트림
+ * @param {number} [opts.branchProb=0.9] - 분기 확률(0~1)
+ * @param {number} [opts.heatLevel=0]
+ * @param {number} [opts.electricNoise=0]
+ */
+export function deriveLString(axiom, gen, { rng, branchProb = 0.9, heatLevel = 0, electricNoise = 0 }) {
+  let current = axiom;
+  for (let g = 0; g < gen; g++) {
+    let next = "";
+    for (let i = 0; i < current.length; i++) {
+      const c = current[i];
+      switch (c) {
+        case "F": {
+          const boost = growthBoost(heatLevel, electricNoise);
+          const r = rng.random();
+
+          // 비정형 패턴: 다양한 분기 규칙
+          if (r < 0.15 * branchProb * boost) {
+            // 1. 나선형 패턴 (이미지 상단)
+            next += "F[+F+F][--F]F";
+          } else if (r < 0.30 * branchProb * boost) {
+            // 2. 비대칭 곡선 분기
+            next += "F[+++F][-F--F]";
+          } else if (r < 0.45 * branchProb * boost) {
+            // 3. 한쪽으로 치우친 분기
+            next += "F[+F+F+F]F";
+          } else if (r < 0.60 * branchProb * boost) {
+            // 4. 약한 분기 + 주 줄기 굽힘
+            next += "+F[+F]F";
+          } else if (r < 0.75 * branchProb * boost) {
+            // 5. 반대 방향 분기
+            next += "-F[-F-F]F";
+          } else if (r < 0.85 * branchProb * boost) {
+            // 6. 다층 분기
+            next += "F[+F[+F]][-F]";
+          } else {
+            // 7. 직진 + 약간의 흔들림
+            next += (rng.random() > 0.5 ? "+" : "-") + "F";
+          }
+          break;
+        }
+        default:
+          next += c;
+          break;
+      }
+    }
+    current = next;
+  }
+  return current;
+}
+
+/**
+ * L-System 문자열 통계 (헤드리스 분석용)
+ * - segments: F 개수, branches: '[' 개수, maxDepth: 최대 중첩 깊이
+ */
+export function summarizeLString(lstring) {
+  let segments = 0;
+  let branches = 0;
+  let depth = 0;
+  let maxDepth = 0;
+  for (const c of lstring) {
+    if (c === "F") segments++;
+    else if (c === "[") {
+      branches++;
+      depth++;
+      if (depth > maxDepth) maxDepth = depth;
+    } else if (c === "]") depth--;
+  }
+  return { length: lstring.length, segments, branches, maxDepth };
+}
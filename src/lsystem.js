@@ -1,6 +1,11 @@
 // lsystem.js - 서버실 전선 식물(열/전류 자양분, 그물 구조)
 import * as THREE from "three";
 import * as BufferGeometryUtils from "three/addons/utils/BufferGeometryUtils.js";
+import { getRandomStream } from "./random.js";
+import { deriveLString, growthBoost } from "./lsystem-grammar.js";
+
+// 규칙 선택 / 회전 비대칭 / 전하 구슬 생성용 시드 스트림
+const _rng = getRandomStream("lsystem");
 
 /* ========================= 
  * 파라미터: 파일 상단 변수 분리
@@ -21,6 +26,7 @@ let branchProb = 0.90;     // 분기 확률(0~1)
 let bendFactor = 0.15;     // 진동 bias 굴곡 강도
 let twistY = 0.08;         // Y축 회전 누적
 let asymmetry = 0.35;      // 좌우 비대칭 정도
+let chargeProb = 0.3;      // tip 전하 구슬 생성 확률 (식물 genome)
 
 // 환경 자극 파라미터
 let heatLevel = 0.0;       // 열 수준(0~1)
@@ -60,7 +66,7 @@ class TurtleState {
  * ========================= */
 function getGrowthBoost() {
   // 열 + 전류 → 성장 촉진
-  return 1.0 + (heatLevel * 0.3 + electricNoise * 0.2);
+  return growthBoost(heatLevel, electricNoise);
 }
 
 function getDirectionBias(pos) {
@@ -82,57 +88,16 @@ function shouldUncoil() {
 
 function shouldSpawnCharge(state) {
   // tip 끝에 전하 구슬 생성 (확률적)
-  // 조건: 세대 3 이상 + 30% 확률 (또는 높은 idleCycles)
-  return (state.generation >= 3 && (Math.random() < 0.3 || idleCycles > 8));
+  // 조건: 세대 3 이상 + chargeProb 확률 (또는 높은 idleCycles)
+  return (state.generation >= 3 && (_rng.random() < chargeProb || idleCycles > 8));
 }
 
 /* ========================= 
  * L-System 규칙 생성기 (비정형 유기체 형태)
+ * - 재작성 규칙 자체는 lsystem-grammar.js (Node 헤드리스 실행과 공유)
  * ========================= */
 function applyRules(axiom, gen) {
-  let current = axiom;
-  for (let g = 0; g < gen; g++) {
-    let next = "";
-    for (let i = 0; i < current.length; i++) {
-      const c = current[i];
-      switch (c) {
-        case "F": {
-          const boost = getGrowthBoost();
-          const r = Math.random();
-          
-          // 비정형 패턴: 다양한 분기 규칙
-          if (r < 0.15 * branchProb * boost) {
-            // 1. 나선형 패턴 (이미지 상단)
-            next += "F[+F+F][--F]F";
-          } else if (r < 0.30 * branchProb * boost) {
-            // 2. 비대칭 곡선 분기
-            next += "F[+++F][-F--F]";
-          } else if (r < 0.45 * branchProb * boost) {
-            // 3. 한쪽으로 치우친 분기
-            next += "F[+F+F+F]F";
-          } else if (r < 0.60 * branchProb * boost) {
-            // 4. 약한 분기 + 주 줄기 굽힘
-            next += "+F[+F]F";
-          } else if (r < 0.75 * branchProb * boost) {
-            // 5. 반대 방향 분기
-            next += "-F[-F-F]F";
-          } else if (r < 0.85 * branchProb * boost) {
-            // 6. 다층 분기
-            next += "F[+F[+F]][-F]";
-          } else {
-            // 7. 직진 + 약간의 흔들림
-            next += (Math.random() > 0.5 ? "+" : "-") + "F";
-          }
-          break;
-        }
-        default:
-          next += c;
-          break;
-      }
-    }
-    current = next;
-  }
-  return current;
+  return deriveLString(axiom, gen, { rng: _rng, branchProb, heatLevel, electricNoise });
 }
 
 /* ========================= 
@@ -328,7 +293,7 @@ function interpret(lstring, graph) {
       case "+": {
         // 오른쪽(시계) 회전
         const right = new THREE.Vector3().crossVectors(state.dir, state.up).normalize();
-        const actualAngle = angleRad * (1 + (Math.random() - 0.5) * asymmetry);
+        const actualAngle = angleRad * (1 + (_rng.random() - 0.5) * asymmetry);
         const q = new THREE.Quaternion().setFromAxisAngle(right, actualAngle);
         state.dir.applyQuaternion(q).normalize();
         state.up.applyQuaternion(q).normalize();
@@ -337,7 +302,7 @@ function interpret(lstring, graph) {
       case "-": {
         // 왼쪽(반시계) 회전
         const right = new THREE.Vector3().crossVectors(state.dir, state.up).normalize();
-        const actualAngle = angleRad * (1 + (Math.random() - 0.5) * asymmetry);
+        const actualAngle = angleRad * (1 + (_rng.random() - 0.5) * asymmetry);
         const q = new THREE.Quaternion().setFromAxisAngle(right, -actualAngle);
         state.dir.applyQuaternion(q).normalize();
         state.up.applyQuaternion(q).normalize();
@@ -588,6 +553,7 @@ export function createLSystem(scene, params = {}) {
   if (params.bendFactor !== undefined) bendFactor = params.bendFactor;
   if (params.twistY !== undefined) twistY = params.twistY;
   if (params.asymmetry !== undefined) asymmetry = params.asymmetry;
+  if (params.chargeProb !== undefined) chargeProb = params.chargeProb;
   
   // 환경 자극
   heatLevel = params.heatLevel ?? 0.3;
@@ -654,10 +620,17 @@ export function createLSystem(scene, params = {}) {
   
   // 6) 애니메이터 (자동 시작)
   const animator = new GrowthAnimator(segments, plantGeom, true);
+
+  // 전하 구슬 중심 (로컬 좌표) → plants.js가 boid 영양원 위치로 사용
+  const chargeCenter = new THREE.Vector3();
+  for (const ch of charges) chargeCenter.add(ch.pos);
+  if (charges.length > 0) chargeCenter.multiplyScalar(1 / charges.length);
   
   return {
     plantMesh,
     chargeMesh,
+    chargeCount: charges.length,
+    chargeCenter,
     animator,
     regenerate: (newParams) => {
       // plantMesh를 제거하면 자식인 chargeMesh도 자동 제거됨
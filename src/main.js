@@ -2,7 +2,7 @@
 import * as THREE from "three";
 import GUI from "https://cdn.jsdelivr.net/npm/lil-gui@0.19/+esm";
 import { createScene, setupLights, setupControls, setupResize } from "./scene.js";
-import { createHUD } from "./hud.js";
+import { createHUD, createScatterPanel, createLineagePanel } from "./hud.js";
 import { createTerrain } from "./terrain.js";
 import {
   initBoids,
@@ -14,10 +14,43 @@ import {
   slimeParams,
   getBoidsDensityMetric,
   getBoidsAliveCount,
+  getBoidBehaviorStats,
+  resetBoidBehaviorStats,
+  setBoidFlockGroups,
+  getBoidEncounters,
+  getNeighborQueryStats,
+  placeBoidNear,
+  ecologyParams,
+  collectEcologyEvents,
+  setBoidEnergy,
+  getBoidEnergy,
+  predatorParams,
+  PREDATOR_MAX,
+  getPredatorStats,
 } from "./boids.js";
-import { initPlants, updatePlants, getPlants } from "./plants.js";
-import { initInteraction, updateInteraction } from "./interaction.js";
-import { GeneticAlgorithm } from "./ga.js";
+import {
+  initPlants,
+  updatePlants,
+  getPlants,
+  evolvePlants,
+  getPlantSummary,
+  plantEvolutionParams,
+} from "./plants.js";
+import { getEnvironmentState } from "./lsystem.js";
+import { initInteraction, updateInteraction, setClickMode, onBoidLiked } from "./interaction.js";
+import {
+  GeneticAlgorithm,
+  RD_PATTERN_TABLE,
+  FITNESS_TERM_LIBRARY,
+  PARENT_SELECTION_STRATEGIES,
+  SURVIVOR_SELECTION_STRATEGIES,
+  SPECIATION_MODES,
+  MATING_MODES,
+} from "./ga.js";
+import { IslandModel, MIGRATION_TOPOLOGIES } from "./islands.js";
+import { initSeedFromURL } from "./random.js";
+import { summarizePopulation, GENE_NAMES, encodeGenome, decodeGenome } from "./genome.js";
+import { downloadJSON, pickJSONFile, setupJSONDrop } from "./persistence.js";
 const Tone = window.Tone;
 
 if (!Tone) {
@@ -217,6 +250,34 @@ const state = {
   transitionTimer: 0,
   nextGenApplied: false,
   gaHudStats: null,
+  // 다목적(pareto) 모드 산점도 패널 + 표시할 두 목적
+  paretoPanel: null,
+  paretoAxes: { x: "palette", y: "movement" },
+  // 계보 패널: 선택한 boid 슬롯의 조상 트리
+  lineagePanel: null,
+  lineageView: { enabled: false, boidIndex: 0, depth: 5 },
+  // 재현용 마스터 시드 (?seed=)
+  seed: 0,
+  // island model: 켜져 있으면 state.islands가 세대 진행을 맡고 state.ga는 host(전체 population/계보)
+  islands: null,
+  islandParams: {
+    enabled: false,
+    islandCount: 4,
+    migrationInterval: 5,
+    migrationSize: 1,
+    migrationTopology: "ring",
+  },
+  // 관람객 참여 선택: 클릭한 boid에 좋아요 (이번 세대 창 누적 수)
+  interactive: { likeMode: false, likesThisGen: 0 },
+  // GA 패널 최상위 폴더 / fitness term 폴더 (불러오기 후 표시 갱신용)
+  gaFolder: null,
+  fitnessFolder: null,
+  // GA 패널의 hall of fame 목록 폴더 (평가마다 다시 구성)
+  hallOfFameFolder: null,
+  // 공유용 genome 코드: 복사/주입할 boid 슬롯과 코드 텍스트 (?genome=&slot=)
+  genomeCode: { slot: 0, code: "" },
+  // 에너지 생태 모드 (ecologyParams.enabled): 세대 타이머 없이 개체 단위 죽음/번식
+  ecology: { births: 0, deaths: 0, caught: 0, alive: 0, avgEnergy: 0 },
 };
 
 // GA 타이밍 상수
@@ -232,6 +293,9 @@ const NEWBORN_ANIM_DURATION = 1.0;
 async function init() {
   console.log("[Main] 애플리케이션 초기화 시작...");
 
+  // 0. 시드 설정 (GA/식물/보이드가 난수를 뽑기 전에)
+  state.seed = initSeedFromURL();
+
   // 1. Scene, Camera, Renderer 설정
   const { scene, camera, renderer } = createScene();
   state.scene = scene;
@@ -249,6 +313,8 @@ async function init() {
 
   // 5. HUD 생성
   state.hud = createHUD();
+  state.paretoPanel = createScatterPanel({ title: "Pareto Front" });
+  state.lineagePanel = createLineagePanel({ title: "Lineage" });
 
   // 6. 지형 생성
   console.log("[Main] 지형 생성 중...");
@@ -282,6 +348,7 @@ async function init() {
     mutationRate: 0.15,
     crossoverRate: 1.0,
     slotPatternIds,
+    adaptiveMutation: false,
   });
   const initialPopulation = state.ga.initPopulation();
 
@@ -300,11 +367,24 @@ async function init() {
   console.log("[Main] 마우스 인터랙션 초기화 중...");
   const plants = getPlants();
   initInteraction(camera, scene, plants, renderer);
+  onBoidLiked(() => {
+    state.interactive.likesThisGen += 1;
+    if (state.gaHudStats) state.gaHudStats.likes = state.interactive.likesThisGen;
+  });
   console.log("[Main] ✅ 마우스 인터랙션 초기화 완료");
 
   // 10. GA 제어용 GUI
   setupGAControls();
 
+  // 11. 링크로 받은 genome 코드 주입 (?genome=&slot=)
+  injectGenomesFromURL();
+
+  // 12. population JSON 드래그&드롭 불러오기
+  setupJSONDrop((data, file) => {
+    console.log(`[GA] 드롭된 파일 불러오기: ${file.name}`);
+    loadGAState(data);
+  });
+
   console.log("[Main] 🎉 모든 초기화 완료!");
   console.log("[Main] 애니메이션 루프 시작...");
 }
@@ -366,7 +446,7 @@ function animate() {
 
   // HUD 업데이트
   const frameTime = performance.now() - t0;
-  state.hud.update(frameTime, state.gaHudStats);
+  state.hud.update(frameTime, state.gaHudStats, getNeighborQueryStats());
 
   // 첫 프레임 로그
   if (!loopLogged) {
@@ -401,10 +481,166 @@ if (typeof window !== "undefined") {
 function setupGAControls() {
   const gui = new GUI({ title: "GA - Server Garden" });
   const fGA = gui.addFolder("Genetic Algorithm");
+  state.gaFolder = fGA;
   fGA.add(state, "generationDuration", 1, 60, 1).name("Generation (sec)");
   fGA.add(state, "autoRun").name("Auto Run");
   fGA.add({ next: () => triggerNextGeneration() }, "next").name("Next Generation");
   fGA.add(state, "generation").name("Generation").listen();
+  fGA.add(state, "seed").name("Seed (?seed=)").disable();
+  fGA.add(state.ga, "environmentCoupling", 0, 1, 0.05).name("Env Influence");
+  fGA.add({ save: () => saveGAState() }, "save").name("Export Population (JSON)");
+  fGA.add({ load: () => pickJSONFile(loadGAState) }, "load").name("Import Population (JSON)");
+
+  // ───────────────────────────────
+  // Selection 전략 (부모 / 생존자)
+  // ───────────────────────────────
+  const fSelection = fGA.addFolder("Selection");
+  fSelection.add(state.ga, "parentSelection", PARENT_SELECTION_STRATEGIES).name("Parent Strategy");
+  fSelection.add(state.ga, "tournamentSize", 2, 10, 1).name("Tournament Size");
+  fSelection.add(state.ga, "rankPressure", 1.0, 2.0, 0.05).name("Rank Pressure");
+  fSelection.add(state.ga, "truncationRate", 0.1, 1.0, 0.05).name("Truncation Rate");
+  fSelection.add(state.ga, "survivorSelection", SURVIVOR_SELECTION_STRATEGIES).name("Survivor Strategy");
+  fSelection.add(state.ga, "survivalRate", 0.05, 0.9, 0.05).name("Survival Rate");
+  // spatial: 세대 동안 실제로 만난 생존자끼리 교배, 새 개체는 부모 곁에서 태어남
+  fSelection.add(state.ga, "matingMode", MATING_MODES).name("Mating");
+
+  // ───────────────────────────────
+  // Adaptive mutation (다양성 붕괴 시 ↑, fitness 상승 중 ↓)
+  // ───────────────────────────────
+  const fMutation = fGA.addFolder("Mutation");
+  fMutation.add(state.ga, "mutationRate", 0.0, 0.6, 0.01).name("Base Rate");
+  fMutation.add(state.ga, "adaptiveMutation").name("Adaptive");
+  fMutation.add(state.ga, "diversityTarget", 0.05, 0.9, 0.05).name("Diversity Target");
+  fMutation.add(state.ga, "effectiveMutationRate").name("Effective Rate").listen().disable();
+
+  // ───────────────────────────────
+  // Speciation (patternId 종 보호 / fitness sharing)
+  // ───────────────────────────────
+  const fSpecies = fGA.addFolder("Speciation");
+  fSpecies.add(state.ga, "speciation", SPECIATION_MODES).name("Mode");
+  fSpecies.add(state.ga, "sharingRadius", 0.05, 1.0, 0.05).name("Sharing Radius");
+  fSpecies.add(state.ga, "minSpeciesSize", 0, 10, 1).name("Min Species Size");
+
+  // ───────────────────────────────
+  // Fitness Term 레지스트리 (추가/제거/가중치)
+  // ───────────────────────────────
+  const fFitness = fGA.addFolder("Fitness Terms");
+  state.fitnessFolder = fFitness;
+  buildFitnessTermControls(fFitness);
+
+  // ───────────────────────────────
+  // 관람객 참여 선택 (클릭 = 좋아요 → fitness 블렌딩)
+  // ───────────────────────────────
+  const fLikes = fGA.addFolder("Interactive (Likes)");
+  fLikes
+    .add(state.interactive, "likeMode")
+    .name("Click to Like")
+    .onChange((on) => {
+      setClickMode(on ? "like" : "dormant");
+      if (state.gaHudStats) state.gaHudStats.likeMode = on;
+    });
+  fLikes.add(state.ga, "likeWeight", 0, 1, 0.05).name("Like Weight");
+
+  // ───────────────────────────────
+  // Island model (구간별 독립 GA + 엘리트 이주)
+  // - 켜기/끄기 / island 수 변경은 다음 세대 평가 직전에 반영
+  // ───────────────────────────────
+  const fIslands = fGA.addFolder("Islands");
+  fIslands.add(state.islandParams, "enabled").name("Island Model");
+  fIslands.add(state.islandParams, "islandCount", 2, 8, 1).name("Islands");
+  fIslands.add(state.islandParams, "migrationInterval", 1, 20, 1).name("Migration Interval");
+  fIslands.add(state.islandParams, "migrationSize", 0, 5, 1).name("Migrants / Island");
+  fIslands.add(state.islandParams, "migrationTopology", MIGRATION_TOPOLOGIES).name("Topology");
+
+  // ───────────────────────────────
+  // 다목적 모드 (NSGA-II) + pareto 산점도 축
+  // ───────────────────────────────
+  const scoreTerms = Object.keys(FITNESS_TERM_LIBRARY).filter(
+    (n) => FITNESS_TERM_LIBRARY[n].kind === "score"
+  );
+  const fPareto = fGA.addFolder("Multi-objective");
+  fPareto
+    .add(state.ga, "mode", ["scalar", "pareto"])
+    .name("Selection Mode")
+    .onChange((mode) => state.paretoPanel?.setVisible(mode === "pareto"));
+  fPareto.add(state.paretoAxes, "x", scoreTerms).name("Scatter X").onChange(drawParetoPanel);
+  fPareto.add(state.paretoAxes, "y", scoreTerms).name("Scatter Y").onChange(drawParetoPanel);
+
+  // ───────────────────────────────
+  // 계보 뷰어 (선택한 boid의 조상 트리)
+  // ───────────────────────────────
+  const fLineage = fGA.addFolder("Lineage");
+  fLineage
+    .add(state.lineageView, "enabled")
+    .name("Show Lineage")
+    .onChange((on) => {
+      state.lineagePanel?.setVisible(on);
+      drawLineagePanel();
+    });
+  fLineage
+    .add(state.lineageView, "boidIndex", 0, state.ga.populationSize - 1, 1)
+    .name("Boid #")
+    .onChange(drawLineagePanel);
+  fLineage.add(state.lineageView, "depth", 1, 12, 1).name("Depth").onChange(drawLineagePanel);
+
+  // ───────────────────────────────
+  // Hall of fame (역대 최고 개체 보관 + 재투입)
+  // ───────────────────────────────
+  const fHallOfFame = fGA.addFolder("Hall of Fame");
+  fHallOfFame.add(state.ga, "hallOfFameSize", 1, 30, 1).name("Archive Size");
+  fHallOfFame.add(state.ga, "autoReintroduce").name("Auto Reintroduce");
+  fHallOfFame.add(state.ga, "reintroducePatience", 1, 20, 1).name("Patience (K gen)");
+  fHallOfFame.add(state.ga, "reintroduceCount", 1, 10, 1).name("Reintroduce Count");
+  fHallOfFame.add({ run: () => reintroduceHallOfFame() }, "run").name("Reintroduce Elites");
+  state.hallOfFameFolder = fHallOfFame.addFolder("Archive").close();
+  buildHallOfFameControls();
+
+  // ───────────────────────────────
+  // 공유용 genome 코드 (복사 / 붙여넣어 주입 / 링크)
+  // ───────────────────────────────
+  const fCode = fGA.addFolder("Genome Code");
+  fCode.add(state.genomeCode, "slot", 0, state.ga.populationSize - 1, 1).name("Boid #").listen();
+  fCode.add({ copy: () => copyGenomeCode() }, "copy").name("Copy Code");
+  fCode.add(state.genomeCode, "code").name("Code").listen();
+  fCode
+    .add({ inject: () => injectGenomeCode(state.genomeCode.code, state.genomeCode.slot) }, "inject")
+    .name("Inject Into Slot");
+  fCode.add({ link: () => copyGenomeLink() }, "link").name("Copy Link");
+
+  // ───────────────────────────────
+  // 식물 공진화 (boid 방문량 → 식물 L-System genome 진화)
+  // ───────────────────────────────
+  const fPlants = fGA.addFolder("Plant Co-evolution");
+  fPlants.add(plantEvolutionParams, "enabled").name("Evolve Plants");
+  fPlants.add(plantEvolutionParams, "interval", 1, 10, 1).name("Every N Boid Gen");
+  fPlants.add(plantEvolutionParams, "survivalRate", 0.1, 0.9, 0.05).name("Plant Survival");
+  fPlants.add({ evolve: () => runPlantGeneration() }, "evolve").name("Evolve Plants Now");
+
+  // ───────────────────────────────
+  // 에너지 생태 모드 (세대 타이머 대신 굶으면 죽고, 남는 에너지로 번식)
+  // ───────────────────────────────
+  const fEcology = fGA.addFolder("Ecology (Energy)");
+  fEcology.add(ecologyParams, "enabled").name("Steady-state").onChange(setEcologyMode);
+  fEcology.add(ecologyParams, "baseDrain", 0, 5, 0.1).name("Base Drain");
+  fEcology.add(ecologyParams, "speedDrain", 0, 10, 0.1).name("Speed Drain");
+  fEcology.add(ecologyParams, "showOffDrain", 0, 10, 0.1).name("ShowOff Drain");
+  fEcology.add(ecologyParams, "feedRate", 0, 60, 1).name("Feed Rate");
+  fEcology.add(ecologyParams, "reproduceThreshold", 10, 100, 1).name("Birth Threshold");
+  fEcology.add(ecologyParams, "birthCost", 5, 80, 1).name("Birth Cost");
+  fEcology.add(state.ecology, "alive").name("Alive").listen().disable();
+
+  // ───────────────────────────────
+  // 포식자 (가장 가까운 boid를 쫓아 잡는다 → 실제 죽음으로 선택압)
+  // ───────────────────────────────
+  const fPredators = fGA.addFolder("Predators");
+  fPredators.add(predatorParams, "enabled").name("Enabled");
+  fPredators.add(predatorParams, "count", 1, PREDATOR_MAX, 1).name("Count");
+  fPredators.add(predatorParams, "maxSpeed", 2, 20, 0.5).name("Max Speed");
+  fPredators.add(predatorParams, "huntRadius", 5, 120, 1).name("Hunt Radius");
+  fPredators.add(predatorParams, "digestTime", 0, 15, 0.5).name("Digest Time");
+  fPredators.add(predatorParams, "fearRadius", 2, 40, 1).name("Fear Radius");
+  fPredators.add(predatorParams, "fearWeight", 0, 10, 0.1).name("Fear Weight");
+  fPredators.add(predatorParams, "camouflage", 0, 1, 0.05).name("Camouflage");
 
   // ───────────────────────────────
   // Slime / Trail & Sensing 파라미터 HUD
@@ -431,39 +667,326 @@ function setupGAControls() {
     .name("Sensor Angle (rad)");
 }
 
-function updateGASummary(population, evalInfo, generationLabel) {
-  if (!population || population.length === 0) return;
+/**
+ * 현재 GA 상태를 JSON으로 내보낸다.
+ */
+function saveGAState() {
+  if (!state.ga) return;
+  const data = state.ga.exportState();
+  data.seed = state.seed;
+  downloadJSON(`server-garden-gen${state.ga.generation}.json`, data);
+  console.log(`[GA] population 내보내기 (generation ${state.ga.generation})`);
+}
 
-  const counts = [0, 0, 0, 0, 0];
-  let sumScale = 0;
-  let sumSpeed = 0;
-  let sumShow = 0;
-  let n = 0;
+/**
+ * 저장된 GA 상태를 불러와 살아있는 boids에 바로 적용한다.
+ * - 진행 중인 세대 전환은 취소하고, 불러온 세대에서 새 창을 시작한다.
+ */
+function loadGAState(data) {
+  if (!state.ga || !state.boidsReady) return;
+  try {
+    const population = state.ga.importState(data);
+    applyPopulationGenomes(population, null, { restore: true });
+    markNewborn(population.map((_, i) => i), NEWBORN_ANIM_DURATION);
+    setBoidEnergy();
+
+    state.generation = state.ga.generation;
+    state.inTransition = false;
+    state.transitionTimer = 0;
+    state.nextGenApplied = false;
+    state.timeSinceGenStart = 0;
+    state.interactive.likesThisGen = 0;
+    state.islands = null; // 불러온 population 기준으로 island 재구성
+    syncIslandModel();
+    refreshGAControls();
+    updateGASummary(population, null, state.generation);
+    drawLineagePanel();
+    console.log(`[GA] population 불러오기 완료 (generation ${state.generation})`);
+  } catch (err) {
+    console.error(err);
+  }
+}
 
-  for (const g of population) {
-    if (!g) continue;
-    const pid = typeof g.patternId === "number" ? g.patternId : 0;
-    if (counts[pid] == null) counts[pid] = 0;
-    counts[pid]++;
+/**
+ * 불러오기처럼 GUI 밖에서 GA 옵션이 바뀐 뒤 패널 표시를 맞춘다.
+ * - fitness term은 객체가 새로 만들어지므로 폴더를 다시 구성
+ * - onChange 부수효과(pareto 패널 표시)는 updateDisplay가 부르지 않으므로 직접 반영
+ */
+function refreshGAControls() {
+  if (state.fitnessFolder) buildFitnessTermControls(state.fitnessFolder);
+  buildHallOfFameControls();
+  for (const c of state.gaFolder?.controllersRecursive() ?? []) c.updateDisplay();
+  state.paretoPanel?.setVisible(state.ga.mode === "pareto");
+}
 
-    sumScale += typeof g.bodyScale === "number" ? g.bodyScale : 1.0;
-    sumSpeed += typeof g.baseSpeed === "number" ? g.baseSpeed : 1.0;
-    sumShow += typeof g.showOff === "number" ? g.showOff : 0.0;
-    n++;
+/**
+ * Hall of fame 목록 (재)구성
+ * - 보관 개체마다 접힌 폴더: 제목에 순위 / 태어난 세대 / fitness, 안에 gene 값 + 개별 재투입 버튼
+ */
+function buildHallOfFameControls() {
+  const folder = state.hallOfFameFolder;
+  if (!folder) return;
+  for (const f of folder.folders.slice()) f.destroy();
+  for (const c of folder.controllers.slice()) c.destroy();
+
+  const archive = state.ga.getHallOfFame();
+  if (archive.length === 0) {
+    folder.add({ empty: "(아직 평가 전)" }, "empty").name("Archive").disable();
+    return;
   }
+  archive.forEach((entry, rank) => {
+    const pattern = RD_PATTERN_TABLE[entry.genome.patternId]?.name ?? "?";
+    const sub = folder
+      .addFolder(`#${rank + 1} ${pattern} G${entry.genId} · fit ${entry.fitness.toFixed(3)}`)
+      .close();
+    const values = { id: entry.id, evaluated: entry.generation };
+    for (const name of GENE_NAMES) {
+      const v = entry.genome[name];
+      values[name] = typeof v === "number" ? Number(v.toFixed(3)) : v;
+    }
+    for (const key in values) sub.add(values, key).disable();
+    sub.add({ run: () => reintroduceHallOfFame([rank]) }, "run").name("Reintroduce");
+  });
+}
+
+/**
+ * 보관 개체를 현재 population에 재투입 (가장 순위가 낮은 슬롯부터)
+ * @param {number[]|null} entryIndices - 보관소 인덱스, 없으면 reintroduceCount개 최고 순
+ */
+function reintroduceHallOfFame(entryIndices = null) {
+  if (!state.ga || !state.boidsReady) return;
+  if (state.inTransition) {
+    console.warn("[GA] 세대 전환 중에는 재투입할 수 없습니다.");
+    return;
+  }
+  const count = entryIndices ? entryIndices.length : state.ga.reintroduceCount;
+  const slots = getEvolver().reintroduceElites(count, null, entryIndices);
+  if (slots.length === 0) {
+    console.log("[GA] 재투입할 보관 개체가 없습니다. (이미 population에 있음)");
+    return;
+  }
+
+  const population = state.ga.getPopulation();
+  applyPopulationGenomes(population, slots);
+  resetBoidBehaviorStats(slots);
+  markNewborn(slots, NEWBORN_ANIM_DURATION);
+  if (ecologyParams.enabled) setBoidEnergy(slots);
+  updateGASummary(population, null, state.generation);
+  drawLineagePanel();
+  console.log(`[GA] hall of fame 재투입: 슬롯 ${slots.join(", ")}`);
+}
+
+/* =========================
+ * 공유용 genome 코드
+ * ========================= */
+
+function copyToClipboard(text) {
+  navigator.clipboard?.writeText(text).catch(() => {
+    console.warn("[Main] 클립보드 복사 실패 (콘솔의 값을 직접 복사하세요)");
+  });
+}
+
+/**
+ * 선택한 슬롯 boid의 genome 코드를 GUI 텍스트 칸 + 클립보드에 복사
+ */
+function copyGenomeCode() {
+  const slot = state.genomeCode.slot;
+  const genome = state.ga.getPopulation()[slot];
+  if (!genome) return;
+  state.genomeCode.code = encodeGenome(genome);
+  copyToClipboard(state.genomeCode.code);
+  console.log(`[GA] boid #${slot} genome 코드: ${state.genomeCode.code}`);
+}
+
+/**
+ * 현재 시드 + 선택한 슬롯 genome을 담은 링크 복사 (?seed=&genome=&slot=)
+ */
+function copyGenomeLink() {
+  copyGenomeCode();
+  const url = new URL(window.location.href);
+  url.searchParams.set("seed", String(state.seed));
+  url.searchParams.set("genome", state.genomeCode.code);
+  url.searchParams.set("slot", String(state.genomeCode.slot));
+  copyToClipboard(url.toString());
+  console.log(`[GA] genome 링크: ${url}`);
+}
+
+/**
+ * genome 코드를 해석해 slot의 boid로 태어나게 한다. (applyPopulationGenomes)
+ * @returns {boolean} 성공 여부
+ */
+function injectGenomeCode(code, slot) {
+  if (!state.ga || !state.boidsReady) return false;
+  if (state.inTransition) {
+    console.warn("[GA] 세대 전환 중에는 genome을 주입할 수 없습니다.");
+    return false;
+  }
+  let genome;
+  try {
+    genome = getEvolver().injectGenome(slot, decodeGenome(code));
+  } catch (err) {
+    console.warn(err.message);
+    return false;
+  }
+
+  const population = state.ga.getPopulation();
+  applyPopulationGenomes(population, [slot]);
+  resetBoidBehaviorStats([slot]);
+  markNewborn([slot], NEWBORN_ANIM_DURATION);
+  if (ecologyParams.enabled) setBoidEnergy([slot]);
+  updateGASummary(population, null, state.generation);
+  drawLineagePanel();
+  console.log(`[GA] genome 코드 주입: boid #${slot} (id ${genome.id})`);
+  return true;
+}
+
+/**
+ * URL(?genome=CODE&slot=N)로 받은 genome 주입 (초기화 끝에 한 번)
+ * - genome / slot을 여러 번 줄 수 있고, slot이 모자라면 0번부터 차례로
+ */
+function injectGenomesFromURL() {
+  if (typeof window === "undefined" || !window.location) return;
+  const params = new URLSearchParams(window.location.search);
+  const codes = params.getAll("genome");
+  const slots = params.getAll("slot").map((v) => parseInt(v, 10));
+  const N = state.ga.populationSize;
+  codes.forEach((code, k) => {
+    const slot = Number.isInteger(slots[k]) && slots[k] >= 0 && slots[k] < N ? slots[k] : k % N;
+    if (injectGenomeCode(code, slot)) state.genomeCode.slot = slot;
+  });
+}
+
+/**
+ * Fitness Term 폴더 (재)구성
+ * - 활성 term마다 weight 슬라이더 + 제거 버튼
+ * - 라이브러리에서 비활성 term을 골라 다시 추가
+ */
+function buildFitnessTermControls(folder) {
+  for (const c of folder.controllers.slice()) c.destroy();
+
+  const ga = state.ga;
+  for (const name of ga.getFitnessTermNames()) {
+    const term = ga.fitnessTerms.get(name);
+    const max = term.kind === "bonus" ? 2.0 : 1.0;
+    folder.add(term, "weight", 0, max, 0.01).name(`${name} (${term.kind})`);
+    const actions = {
+      remove: () => {
+        ga.removeFitnessTerm(name);
+        buildFitnessTermControls(folder);
+      },
+    };
+    folder.add(actions, "remove").name(`✕ remove ${name}`);
+  }
+
+  const inactive = Object.keys(FITNESS_TERM_LIBRARY).filter((n) => !ga.fitnessTerms.has(n));
+  if (inactive.length > 0) {
+    const picker = {
+      term: inactive[0],
+      add: () => {
+        ga.addFitnessTerm(picker.term);
+        buildFitnessTermControls(folder);
+      },
+    };
+    folder.add(picker, "term", inactive).name("Term to add");
+    folder.add(picker, "add").name("+ add term");
+  }
+}
+
+/**
+ * 선택한 boid 슬롯의 현재 genome 조상 트리를 계보 패널에 그린다.
+ * - 노드 색: genome hue/value, 라벨: 패턴 이름 + 태어난 세대
+ */
+function drawLineagePanel() {
+  const panel = state.lineagePanel;
+  const view = state.lineageView;
+  if (!panel || !state.ga || !view.enabled) return;
+
+  const genome = state.ga.getPopulation()[view.boidIndex];
+  if (!genome) return;
+
+  const levels = state.ga.getAncestry(genome.id, view.depth).map((level) =>
+    level.map((entry) => {
+      const g = entry.genome;
+      const pattern = RD_PATTERN_TABLE[g.patternId]?.name ?? "?";
+      const light = Math.round(25 + (g.value ?? 0.5) * 50);
+      return {
+        id: entry.id,
+        label: `${pattern} g${entry.genId}`,
+        color: `hsl(${Math.round(g.hue ?? 0)}, 80%, ${light}%)`,
+        parentIds: entry.parentIds,
+      };
+    })
+  );
+  panel.draw(levels, `boid #${view.boidIndex} (id ${genome.id})`);
+}
+
+/**
+ * 마지막 pareto 평가 결과를 산점도 패널에 그린다.
+ * - 선택한 두 목적이 이번 평가에 없으면(비활성 term) 0으로 그린다.
+ */
+function drawParetoPanel() {
+  const panel = state.paretoPanel;
+  const pareto = state.ga?.getLastEvaluationInfo().pareto;
+  if (!panel || !pareto) return;
+
+  const xi = pareto.names.indexOf(state.paretoAxes.x);
+  const yi = pareto.names.indexOf(state.paretoAxes.y);
+  const points = pareto.values.map((v, i) => ({
+    x: xi >= 0 ? v[xi] : 0,
+    y: yi >= 0 ? v[yi] : 0,
+    rank: pareto.ranks[i],
+  }));
+  panel.draw(points, state.paretoAxes.x, state.paretoAxes.y);
+}
+
+function updateGASummary(population, evalInfo, generationLabel) {
+  if (!population || population.length === 0) return;
+
+  // gene별 요약은 genome.js 스키마의 hud 설정을 따른다.
+  const summary = summarizePopulation(population);
 
   const stats = state.gaHudStats || {};
   stats.generation = generationLabel;
-  stats.patternCounts = counts;
-  if (n > 0) {
-    stats.avgScale = sumScale / n;
-    stats.avgSpeed = sumSpeed / n;
-    stats.avgShow = sumShow / n;
-  }
+  stats.patternCounts = summary.counts.patternId ?? [0, 0, 0, 0, 0];
+  stats.geneAverages = summary.averages;
 
   if (evalInfo && Array.isArray(evalInfo.fitness) && evalInfo.fitness.length > 0) {
     stats.bestFitness = Math.max(...evalInfo.fitness);
   }
+  if (evalInfo && evalInfo.termContributions) {
+    stats.termContributions = evalInfo.termContributions;
+  }
+  if (evalInfo && evalInfo.selection) {
+    stats.selection = evalInfo.selection;
+  }
+  stats.plants = getPlantSummary();
+  stats.likeMode = state.interactive.likeMode;
+  stats.likes = state.interactive.likesThisGen;
+
+  if (evalInfo && evalInfo.diversity) {
+    stats.diversity = evalInfo.diversity;
+  }
+  if (evalInfo && evalInfo.mutation) {
+    stats.mutation = evalInfo.mutation;
+  }
+  if (evalInfo) {
+    stats.islands = evalInfo.islands ?? null;
+  }
+  if (evalInfo && evalInfo.fitnessRanges) {
+    stats.environment = evalInfo.environment;
+    stats.fitnessRanges = evalInfo.fitnessRanges;
+  }
+  if (evalInfo && evalInfo.species) {
+    stats.species = evalInfo.species;
+  }
+  if (evalInfo && evalInfo.hallOfFame) {
+    stats.hallOfFame = evalInfo.hallOfFame;
+  }
+  if (evalInfo) {
+    stats.paretoFrontSize = evalInfo.pareto
+      ? evalInfo.pareto.ranks.filter((r) => r === 0).length
+      : null;
+  }
 
   state.gaHudStats = stats;
 }
@@ -471,6 +994,14 @@ function updateGASummary(population, evalInfo, generationLabel) {
 function updateGA(dt) {
   if (!state.ga || !state.boidsReady) return;
 
+  if (state.gaHudStats) state.gaHudStats.predators = predatorParams.enabled ? getPredatorStats() : null;
+
+  // 에너지 생태 모드: 진행 중인 세대 전환만 마저 끝내고, 이후는 개체 단위로 진행
+  if (ecologyParams.enabled && !state.inTransition) {
+    updateEcology();
+    return;
+  }
+
   // 세대 진행 타이머
   if (!state.inTransition && state.autoRun) {
     state.timeSinceGenStart += dt;
@@ -504,16 +1035,28 @@ function updateGA(dt) {
 function triggerNextGeneration() {
   if (!state.ga || !state.boidsReady) return;
   if (state.inTransition) return; // 이미 전환 중이면 무시
+  if (ecologyParams.enabled) return; // 생태 모드에는 세대 경계가 없다
 
   const currentGen = state.generation;
 
-  // 1) 평가
-  const evalInfo = state.ga.evaluatePopulation();
+  // island 설정 변경은 세대 경계에서만 반영
+  syncIslandModel();
+
+  // 정원 환경(H/E/I 키)에 맞춰 fitness 달콤 지점 이동
+  state.ga.setEnvironment(getEnvironmentState());
+
+  // 1) 평가 (이번 세대 창 동안 측정한 행동 통계 포함)
+  const evolver = getEvolver();
+  const evalInfo = evolver.evaluatePopulation(getBoidBehaviorStats());
+  // spatial mating용 만남 기록 (세대 창이 리셋되기 전에 넘겨 둔다)
+  evolver.setEncounters(state.ga.matingMode === "spatial" ? getBoidEncounters() : null);
   const survivors = evalInfo.survivors;
   const doomed = evalInfo.doomed;
 
   // HUD용 요약 (현재 세대 기준)
   updateGASummary(state.ga.getPopulation(), evalInfo, currentGen);
+  if (evalInfo.pareto) drawParetoPanel();
+  buildHallOfFameControls();
 
   // 2) 선택 결과를 보이드에 표시 (dying / alive)
   markSelection(survivors, doomed, DEATH_ANIM_DURATION);
@@ -529,20 +1072,181 @@ function triggerNextGeneration() {
 }
 
 function applyNextGeneration() {
-  const last = state.ga.getLastEvaluationInfo();
+  const evolver = getEvolver();
+  const last = evolver.getLastEvaluationInfo();
   const doomed = last.doomed || [];
-  const newPop = state.ga.nextGeneration();
+  // island model에서 이주자는 도태된 슬롯에만 도착하므로 doomed만 갱신하면 된다.
+  const newPop = evolver.nextGeneration();
 
   // doomed 슬롯에만 새 genome 적용
   applyPopulationGenomes(newPop, doomed);
   markNewborn(doomed, NEWBORN_ANIM_DURATION);
 
+  // spatial mating: 새 개체는 죽은 개체 자리 대신 부모 곁에서 태어난다. (가족이 한 곳에 머묾)
+  if (state.ga.matingMode === "spatial") {
+    for (const [slot, parents] of Object.entries(evolver.getLastMatings())) {
+      // 부모가 방금 교체된 슬롯이면 위치 기준에서 제외 (보호 종 번식 등)
+      placeBoidNear(Number(slot), parents.filter((p) => !doomed.includes(p)));
+    }
+  }
+
+  // 새 세대 창 시작: 행동 통계(좋아요 포함) 리셋
+  resetBoidBehaviorStats();
+  state.interactive.likesThisGen = 0;
+
   // 새 세대 population 요약 (fitness는 이전 세대 기준)
   updateGASummary(newPop, null, state.generation);
+  drawLineagePanel();
 
   console.log(
     `[GA] Generation ${state.generation} nextGeneration 적용 (doomed=${doomed.length})`
   );
+  const reintroduced = state.ga.lastReintroduction;
+  if (reintroduced) {
+    console.log(`[GA] 정체 → hall of fame 자동 재투입 (id ${reintroduced.ids.join(", ")})`);
+  }
+  // 식물은 boid N세대마다 한 세대 (이번 boid 세대들 동안 모인 방문량 기준)
+  if (plantEvolutionParams.enabled && state.generation % plantEvolutionParams.interval === 0) {
+    runPlantGeneration();
+  }
+  for (const m of state.islands?.lastMigration ?? []) {
+    console.log(`[GA] 이주: island ${m.from} → ${m.to} (id ${m.ids.join(", ")})`);
+  }
+}
+
+/* =========================
+ * 에너지 생태 모드 (steady-state)
+ * ========================= */
+
+/**
+ * 매 프레임: 굶은 개체는 죽는 애니메이션, 에너지가 남는 개체는 빈 슬롯에 자식을 낳는다.
+ * - 죽는 개체가 완전히 사라진(dead) 슬롯만 재사용하므로 애니메이션은 개체별로 재생된다.
+ */
+function updateEcology() {
+  const events = collectEcologyEvents();
+  const birthsBefore = state.ecology.births;
+
+  if (events.starved.length > 0) {
+    markSelection([], events.starved, DEATH_ANIM_DURATION);
+    state.ecology.deaths += events.starved.length;
+  }
+  // 잡힌 개체는 boids.js에서 이미 죽는 중 → 집계만
+  state.ecology.deaths += events.caught;
+  state.ecology.caught += events.caught;
+
+  const free = events.free.slice();
+  for (const parent of events.fertile) {
+    const slot = free.shift();
+    if (slot === undefined) break;
+    spawnEcologyChild(parent, slot);
+    setBoidEnergy([parent], getBoidEnergy(parent) - ecologyParams.birthCost);
+  }
+
+  // 멸종: 살아있는 개체가 없으면 빈 슬롯 전체에 새 시조를 들인다.
+  if (events.alive - events.starved.length <= 0) {
+    for (const slot of free) spawnEcologyChild(null, slot);
+    if (free.length > 0) console.log(`[GA] 생태 모드 멸종 → 새 시조 ${free.length}개 정착`);
+  }
+
+  state.ecology.alive = events.alive;
+  state.ecology.avgEnergy = events.avgEnergy;
+  state.generation = state.ga.generation;
+  // 이번 프레임에 출생이 있었으면 HUD population 요약 갱신 (generation = 가장 깊은 계보 세대)
+  if (state.ecology.births > birthsBefore) {
+    updateGASummary(state.ga.getPopulation(), null, state.generation);
+    drawLineagePanel();
+  }
+  if (state.gaHudStats) state.gaHudStats.ecology = { ...state.ecology };
+}
+
+/**
+ * 자식 하나를 slot에 태어나게 한다. (parent가 null이면 무작위 시조)
+ */
+function spawnEcologyChild(parent, slot) {
+  const population = state.ga.getPopulation();
+  state.ga.reproduceInto(parent, slot);
+  applyPopulationGenomes(population, [slot]);
+  resetBoidBehaviorStats([slot]);
+  markNewborn([slot], NEWBORN_ANIM_DURATION);
+  if (parent !== null) {
+    placeBoidNear(slot, [parent]);
+    setBoidEnergy([slot], ecologyParams.birthCost);
+  } else {
+    setBoidEnergy([slot], ecologyParams.startEnergy);
+  }
+  state.ecology.births++;
+}
+
+/**
+ * 생태 모드 전환
+ * - 켬: 에너지 초기화, island model 해제 (개체 단위 번식은 host GA에서)
+ * - 끔: 죽어서 빈 슬롯을 살아있는 개체의 자식으로 채우고 세대 타이머 재시작
+ */
+function setEcologyMode(on) {
+  if (on) {
+    setBoidEnergy();
+    state.ecology.births = 0;
+    state.ecology.deaths = 0;
+    state.ecology.caught = 0;
+    if (state.islands) {
+      state.islands = null;
+      setBoidFlockGroups(null);
+    }
+    console.log("[GA] 에너지 생태 모드 시작");
+    return;
+  }
+
+  if (state.gaHudStats) state.gaHudStats.ecology = null;
+  const { free } = collectEcologyEvents();
+  const freeSet = new Set(free);
+  const living = state.ga.getPopulation().map((_, i) => i).filter((i) => !freeSet.has(i));
+  for (const slot of free) {
+    const parent = living.length > 0 ? living[state.ga.rng.int(0, living.length - 1)] : null;
+    spawnEcologyChild(parent, slot);
+  }
+  state.timeSinceGenStart = 0;
+  resetBoidBehaviorStats();
+  console.log(`[GA] 세대 모드 복귀 (빈 슬롯 ${free.length}개 채움)`);
+}
+
+/**
+ * 식물 GA 한 세대 진행 + HUD 갱신
+ */
+function runPlantGeneration() {
+  if (!state.plantsReady) return;
+  evolvePlants();
+  if (state.gaHudStats) state.gaHudStats.plants = getPlantSummary();
+}
+
+// 세대 진행 주체: island model이 켜져 있으면 IslandModel, 아니면 GA
+function getEvolver() {
+  return state.islands ?? state.ga;
+}
+
+/**
+ * GUI의 island 설정을 IslandModel에 반영
+ * - 켜짐 + (없음 | island 수 변경) → host GA population으로 새로 구성
+ * - 꺼짐 → host GA가 그대로 이어받음
+ */
+function syncIslandModel() {
+  const p = state.islandParams;
+  if (!p.enabled) {
+    if (state.islands) {
+      state.islands = null;
+      setBoidFlockGroups(null);
+      console.log("[GA] island model 해제");
+    }
+    return;
+  }
+
+  if (!state.islands || state.islands.islandCount !== p.islandCount) {
+    state.islands = new IslandModel(state.ga, { islandCount: p.islandCount });
+    setBoidFlockGroups(state.islands.getIslandOfIndex());
+    console.log(`[GA] island model: ${state.islands.islandCount}개 island`);
+  }
+  state.islands.migrationInterval = p.migrationInterval;
+  state.islands.migrationSize = p.migrationSize;
+  state.islands.migrationTopology = p.migrationTopology;
 }
 
 
@@ -0,0 +1,62 @@
+// persistence.js - JSON 파일 저장/불러오기 (브라우저 전용)
+// - GA population 내보내기(다운로드), 파일 선택, 드래그&드롭 불러오기
+// - 직렬화 내용 자체는 ga.js exportState()/importState()가 담당한다.
+
+/**
+ * 객체를 JSON 파일로 다운로드
+ */
+export function downloadJSON(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+function readJSONFile(file) {
+  return file.text().then((text) => JSON.parse(text));
+}
+
+/**
+ * 파일 선택 창을 띄워 JSON 하나를 읽는다.
+ * @param {(data: object) => void} onLoad
+ */
+export function pickJSONFile(onLoad) {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = "application/json,.json";
+  input.addEventListener("change", () => {
+    const file = input.files?.[0];
+    if (!file) return;
+    readJSONFile(file)
+      .then(onLoad)
+      .catch((err) => console.error("[Persistence] JSON 불러오기 실패:", err));
+  });
+  input.click();
+}
+
+/**
+ * 창 전체에 .json 파일 드롭 불러오기 등록
+ * @param {(data: object, file: File) => void} onLoad
+ */
+export function setupJSONDrop(onLoad) {
+  window.addEventListener("dragover", (e) => {
+    if (e.dataTransfer?.types?.includes("Files")) e.preventDefault();
+  });
+  window.addEventListener("drop", (e) => {
+    const file = e.dataTransfer?.files?.[0];
+    if (!file) return;
+    e.preventDefault();
+    if (!file.name.endsWith(".json")) {
+      console.warn(`[Persistence] JSON 파일이 아닙니다: ${file.name}`);
+      return;
+    }
+    readJSONFile(file)
+      .then((data) => onLoad(data, file))
+      .catch((err) => console.error("[Persistence] JSON 불러오기 실패:", err));
+  });
+}
@@ -1,4 +1,6 @@
 // plants.js - L-System 식물 관리
+// - 식물 형태(L-System 파라미터)는 별도 GeneticAlgorithm(PLANT_GENOME_SCHEMA)으로 boids와 공진화한다.
+// - 식물마다 전하 구슬 중심을 boid 영양원으로 등록하고, 주변 trail / 섭취 시간을 방문량으로 모은다.
 import * as THREE from "three";
 import {
   createLSystem,
@@ -6,11 +8,60 @@ import {
   setupEnvironmentControls,
   getEnvironmentState,
 } from "./lsystem.js";
+import { getRandomStream } from "./random.js";
+import { GeneticAlgorithm } from "./ga.js";
+import { PLANT_GENOME_SCHEMA, summarizePopulation } from "./genome.js";
+import {
+  setNutrientState,
+  clearNutrient,
+  getNutrientConsumption,
+  resetNutrientConsumption,
+  getTrailStrengthAt,
+} from "./boids.js";
 
 let _lsystems = [];
 let _terrain = null;
 let _scene = null;
 
+// 배치 위치 / 식물별 파라미터용 시드 스트림
+const _rng = getRandomStream("plants");
+
+// 식물 자리: 위치 + 그 자리의 환경 자극 (genome과 무관하게 고정)
+let _sites = [];
+
+// 식물 GA (식물 index = GA slot = 영양원 index)
+let _plantGA = null;
+// 식물별 방문량 (trail: 주변 trail 강도 × 시간 누적)
+let _visits = [];
+
+// 공진화 설정 (main.js GUI)
+// - interval: boid 몇 세대마다 식물 한 세대를 진행할지
+export const plantEvolutionParams = {
+  enabled: true,
+  interval: 3,
+  survivalRate: 0.5,
+};
+
+// 식물 fitness (행동 통계 = 방문량, 개체군 최대 대비 0~1)
+// - visitTrail: 식물 주변에 남은 boid trail
+// - visitFeed: 전하 구슬 영양원에서 boid가 먹은 시간
+const PLANT_BEHAVIOR_KEYS = ["trail", "feeding"];
+const PLANT_FITNESS_TERMS = {
+  visitTrail: { kind: "score", weight: 0.4, fn: (g, ga, i) => ga._behaviorScore(i, "trail") },
+  visitFeed: { kind: "score", weight: 0.6, fn: (g, ga, i) => ga._behaviorScore(i, "feeding") },
+};
+
+// trail 방문량 샘플 반경 (식물 밑동 + 4방향)
+const VISIT_SAMPLE_RADIUS = 4.0;
+const _visitOffsets = [
+  [0, 0],
+  [VISIT_SAMPLE_RADIUS, 0],
+  [-VISIT_SAMPLE_RADIUS, 0],
+  [0, VISIT_SAMPLE_RADIUS],
+  [0, -VISIT_SAMPLE_RADIUS],
+];
+const _tmpSample = new THREE.Vector3();
+
 /* ========================= 
  * 복도 위치 찾기
  * ========================= */
@@ -23,8 +74,8 @@ function findAislePositions(terrainObj, count = 15) {
 
   const attempts = count * 10;
   for (let i = 0; i < attempts && positions.length < count; i++) {
-    const x = THREE.MathUtils.randFloat(-halfW + margin, halfW - margin);
-    const z = THREE.MathUtils.randFloat(-halfD + margin, halfD - margin);
+    const x = _rng.float(-halfW + margin, halfW - margin);
+    const z = _rng.float(-halfD + margin, halfD - margin);
 
     const h = terrainObj.heightAtXZ(x, z);
     const seaLevel = terrainObj.uniforms.seaLevel.value;
@@ -72,69 +123,55 @@ export function initPlants(scene, terrain) {
   const plantCount = 15;
   const positions = findAislePositions(terrain, plantCount);
 
-  for (let i = 0; i < positions.length; i++) {
-    const pos = positions[i];
-
-    // 비정형 유기체 스타일 파라미터
-    const genMax = THREE.MathUtils.randInt(4, 6); // 세대 증가
-    const angleDeg = THREE.MathUtils.randFloat(15, 35); // 각도 범위 넓게
-    const step = THREE.MathUtils.randFloat(1.2, 2.5); // 짧은 세그먼트
-    const baseRadius = THREE.MathUtils.randFloat(0.12, 0.22); // 가는 줄기
-    const heatLevel = THREE.MathUtils.randFloat(0.25, 0.55);
-    const electricNoise = THREE.MathUtils.randFloat(0.15, 0.4);
-    const ioVibration = THREE.MathUtils.randFloat(0.08, 0.22);
-    const animateSpeed = THREE.MathUtils.randFloat(15, 30);
-    const startDelay = i * 0.5;
+  // 자리별 환경 자극 (genome이 아니라 자리의 속성)
+  _sites = positions.map((pos) => ({
+    posX: pos.x,
+    posY: pos.y,
+    posZ: pos.z,
+    heatLevel: _rng.float(0.25, 0.55),
+    electricNoise: _rng.float(0.15, 0.4),
+    ioVibration: _rng.float(0.08, 0.22),
+    animateSpeed: _rng.float(15, 30),
+    idleCycles: _rng.int(0, 5),
+  }));
 
-    const lsys = createLSystem(scene, {
-      genMax,
-      angleDeg,
-      decay: 0.90, // 더 천천히 감쇠
-      step,
-      baseRadius,
-      animateSpeed,
-      scaleY: THREE.MathUtils.randFloat(1.1, 1.6), // 더 높게
-      scaleX: 1.0,
-      radiusDecay: THREE.MathUtils.randFloat(0.82, 0.90), // 천천히 가늘어짐
-      branchProb: THREE.MathUtils.randFloat(0.85, 0.98), // 분기 확률 높게
-      bendFactor: THREE.MathUtils.randFloat(0.20, 0.35), // 더 많이 휘어짐
-      twistY: THREE.MathUtils.randFloat(0.08, 0.15), // 더 많이 비틀림
-      asymmetry: THREE.MathUtils.randFloat(0.40, 0.60), // 비대칭 강화
-      heatLevel,
-      electricNoise,
-      ioVibration,
-      idleCycles: THREE.MathUtils.randInt(0, 5),
-      mergeRadius: THREE.MathUtils.randFloat(2.5, 4.0),
-      mergeAngleTol: 0.8,
-      posX: pos.x,
-      posY: pos.y,
-      posZ: pos.z,
-      startDelay,
-    });
+  // 식물 GA: 자리 수만큼 개체, 0세대는 스키마 초기 분포 (기존 무작위 범위와 같음)
+  _plantGA = new GeneticAlgorithm({
+    populationSize: Math.max(1, _sites.length),
+    survivalRate: plantEvolutionParams.survivalRate,
+    mutationRate: 0.25,
+    schema: PLANT_GENOME_SCHEMA,
+    rng: getRandomStream("plants.ga"),
+    fitnessTerms: [],
+    behaviorKeys: PLANT_BEHAVIOR_KEYS,
+  });
+  for (const [name, def] of Object.entries(PLANT_FITNESS_TERMS)) {
+    _plantGA.addFitnessTerm(name, def);
+  }
+  const genomes = _plantGA.initPopulation();
 
+  for (let i = 0; i < _sites.length; i++) {
+    const lsys = growPlant(i, genomes[i]);
+    const startDelay = i * 0.5;
     if (startDelay > 0) {
       lsys.animator.paused = true;
       setTimeout(() => {
         if (lsys.animator) lsys.animator.paused = false;
       }, startDelay * 1000);
     }
-
-    _lsystems.push(lsys);
   }
+  resetPlantVisits();
 
   console.log(`[Plants] ✅ 식물 ${_lsystems.length}개 생성 완료!`);
   console.log(`[키맵] Space(전체 재생/정지), [/](세대 ±), J/K(각도 ±), N/M(감쇠 ±)`);
   console.log(`[환경] H/G(열 ±), E/Q(전류 ±), I/U(정적 ±)`);
 
-  // 키보드 컨트롤 설정
+  // 키보드 컨트롤 설정 (재생성 = 같은 genome으로 다시 자라기)
   if (_lsystems.length > 0) {
     setupLSystemControls(_lsystems, () => {
-      for (const lsys of _lsystems) {
-        // plantMesh를 제거하면 자식인 chargeMesh도 자동 제거됨
-        _scene.remove(lsys.plantMesh);
-      }
-      _lsystems = [];
-      initPlants(_scene, _terrain);
+      const genomes = _plantGA.getPopulation();
+      const env = getEnvironmentState();
+      for (let i = 0; i < _sites.length; i++) growPlant(i, genomes[i], env);
     });
   }
 
@@ -144,6 +181,16 @@ export function initPlants(scene, terrain) {
 export function updatePlants(time, dt) {
   const env = getEnvironmentState();
 
+  // 방문량: 식물 밑동 주변 trail 강도 누적
+  for (let i = 0; i < _sites.length; i++) {
+    const site = _sites[i];
+    let sum = 0;
+    for (const [dx, dz] of _visitOffsets) {
+      sum += getTrailStrengthAt(_tmpSample.set(site.posX + dx, site.posY, site.posZ + dz));
+    }
+    _visits[i].trail += (sum / _visitOffsets.length) * dt;
+  }
+
   for (const lsys of _lsystems) {
     if (lsys?.animator) lsys.animator.update(dt);
 
@@ -177,3 +224,106 @@ export function getPlants() {
   return _lsystems;
 }
 
+/* =========================
+ * 식물 GA (공진화)
+ * ========================= */
+
+/**
+ * 식물 genome → createLSystem 파라미터 (자리 환경 + genome 형태)
+ */
+function plantParams(site, genome) {
+  return {
+    ...site,
+    genMax: genome.genMax,
+    angleDeg: genome.angleDeg,
+    decay: 0.9,
+    step: genome.step,
+    baseRadius: genome.baseRadius,
+    scaleY: genome.scaleY,
+    scaleX: 1.0,
+    radiusDecay: genome.radiusDecay,
+    branchProb: genome.branchProb,
+    bendFactor: genome.bendFactor,
+    twistY: genome.twistY,
+    asymmetry: genome.asymmetry,
+    chargeProb: genome.chargeProb,
+    mergeRadius: genome.mergeRadius,
+    mergeAngleTol: 0.8,
+  };
+}
+
+function disposePlant(lsys) {
+  if (!lsys) return;
+  // plantMesh를 제거하면 자식인 chargeMesh도 자동 제거됨
+  _scene.remove(lsys.plantMesh);
+  for (const mesh of [lsys.plantMesh, lsys.chargeMesh]) {
+    mesh?.geometry?.dispose();
+    mesh?.material?.dispose();
+  }
+}
+
+/**
+ * index 자리에 genome으로 식물을 (다시) 키우고 영양원 등록
+ * - 전하 구슬 수가 많을수록 강한 영양원, 구슬이 없으면 영양원 없음
+ * - env: 다시 자랄 때는 현재 정원 환경을 넘긴다. (createLSystem이 전역 환경 값을 덮어쓰므로
+ *   H/E/I 키로 바꾼 환경이 자리 기본값으로 돌아가지 않게)
+ */
+function growPlant(index, genome, env = null) {
+  disposePlant(_lsystems[index]);
+  const lsys = createLSystem(_scene, { ...plantParams(_sites[index], genome), ...env });
+  _lsystems[index] = lsys;
+
+  if (lsys.chargeCount > 0) {
+    const pos = lsys.plantMesh.position.clone().add(lsys.chargeCenter);
+    setNutrientState(index, pos, Math.min(1, lsys.chargeCount / 10));
+  } else {
+    clearNutrient(index);
+  }
+  return lsys;
+}
+
+function resetPlantVisits() {
+  _visits = _sites.map(() => ({ trail: 0 }));
+  resetNutrientConsumption();
+}
+
+/**
+ * 방문량으로 식물 한 세대 진행
+ * - 도태된 자리만 새 genome으로 다시 자라고, 방문량은 새 창으로 리셋
+ * @returns {object|null} plantGA.evaluatePopulation() 결과
+ */
+export function evolvePlants() {
+  if (!_plantGA || _sites.length === 0) return null;
+  _plantGA.survivalRate = plantEvolutionParams.survivalRate;
+
+  const consumed = getNutrientConsumption();
+  const stats = _visits.map((v, i) => ({ trail: v.trail, feeding: consumed[i] ?? 0 }));
+  const info = _plantGA.evaluatePopulation(stats);
+  const genomes = _plantGA.nextGeneration();
+  const env = getEnvironmentState();
+  for (const i of info.doomed) growPlant(i, genomes[i], env);
+  resetPlantVisits();
+
+  console.log(
+    `[Plants] 식물 세대 ${_plantGA.generation}: ${info.doomed.length}개 새로 자람 (best=${Math.max(...info.fitness).toFixed(3)})`
+  );
+  return info;
+}
+
+/**
+ * HUD용 식물 GA 요약
+ */
+export function getPlantSummary() {
+  if (!_plantGA) return null;
+  const fitness = _plantGA.fitness;
+  return {
+    generation: _plantGA.generation,
+    bestFitness: fitness.length > 0 ? Math.max(...fitness) : 0,
+    averages: summarizePopulation(_plantGA.getPopulation(), PLANT_GENOME_SCHEMA).averages,
+  };
+}
+
+export function getPlantGA() {
+  return _plantGA;
+}
+
@@ -0,0 +1,134 @@
+// random.js - 시드 기반 난수 서비스 (재현 가능한 실행)
+// - 모든 서브시스템(GA / L-System / Plants / Boids)은 Math.random() 대신 여기서 난수를 뽑는다.
+// - 하나의 마스터 시드에서 이름별 스트림("ga", "plants", ...)을 파생시킨다.
+//   → 프레임 수에 따라 호출 횟수가 달라지는 boids 지터가 GA 선택 결과를 흔들지 않도록 분리.
+// - ?seed= URL 파라미터로 시드를 고정하면 같은 식물 / 0세대 / 선택 결과를 다시 만들 수 있다.
+// - DOM / Three.js 의존 없음 (Node에서도 사용 가능)
+
+/* =========================
+ * 해시 / PRNG 코어
+ * ========================= */
+
+// 문자열 → 32bit 정수 (FNV-1a)
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h >>> 0;
+}
+
+// 마스터 시드 + 스트림 이름 → 스트림 시드
+function mixSeed(seed, name) {
+  let h = (seed ^ hashString(name)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b) >>> 0;
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35) >>> 0;
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * mulberry32 기반 난수 스트림 생성
+ * @param {number} seed - 32bit 정수 시드
+ */
+export function createRandomStream(seed = 0) {
+  let state = seed >>> 0;
+
+  const stream = {
+    /** [0, 1) 균등 난수 (Math.random 대체) */
+    random() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    /** [min, max) 실수 */
+    float(min, max) {
+      return min + stream.random() * (max - min);
+    },
+    /** [min, maxInclusive] 정수 */
+    int(min, maxInclusive) {
+      return Math.floor(min + stream.random() * (maxInclusive + 1 - min));
+    },
+    /** 스트림 상태를 새 시드로 리셋 */
+    reseed(newSeed) {
+      state = newSeed >>> 0;
+    },
+    /** 현재 내부 상태 (저장/복원용) */
+    getState() {
+      return state;
+    },
+    setState(s) {
+      state = s >>> 0;
+    },
+  };
+  return stream;
+}
+
+/* =========================
+ * 전역 시드 / 이름별 스트림
+ * ========================= */
+
+let _seed = 0;
+const _streams = new Map(); // name → stream
+
+/**
+ * 시드 값 정규화
+ * - 숫자 문자열은 정수로, 그 외 문자열은 해시로 변환한다. ("?seed=gallery" 도 허용)
+ */
+export function normalizeSeed(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return Math.floor(value) >>> 0;
+  const str = String(value ?? "").trim();
+  if (str === "") return null;
+  if (/^\d+$/.test(str)) return Number(str) >>> 0;
+  return hashString(str);
+}
+
+/**
+ * 마스터 시드 설정
+ * - 이미 만들어진 스트림도 모두 새 시드 기준으로 리셋된다.
+ */
+export function setSeed(seed) {
+  _seed = normalizeSeed(seed) ?? 0;
+  for (const [name, stream] of _streams) {
+    stream.reseed(mixSeed(_seed, name));
+  }
+  return _seed;
+}
+
+export function getSeed() {
+  return _seed;
+}
+
+/**
+ * 이름별 난수 스트림 반환 (같은 이름이면 같은 객체)
+ * @param {string} name - "ga" | "plants" | "lsystem" | "boids" ...
+ */
+export function getRandomStream(name) {
+  let stream = _streams.get(name);
+  if (!stream) {
+    stream = createRandomStream(mixSeed(_seed, name));
+    _streams.set(name, stream);
+  }
+  return stream;
+}
+
+/**
+ * URL(?seed=)에서 시드를 읽고, 없으면 새 시드를 뽑아 설정한다.
+ * - 시드 없이 실행한 경우에도 로그에 남은 시드로 같은 실행을 재구성할 수 있다.
+ */
+export function initSeedFromURL() {
+  let seed = null;
+  if (typeof window !== "undefined" && window.location) {
+    const params = new URLSearchParams(window.location.search);
+    seed = normalizeSeed(params.get("seed"));
+  }
+  if (seed == null) {
+    // 시드 자체를 고르는 유일한 비결정적 지점
+    seed = Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+  setSeed(seed);
+  console.log(`[Random] seed=${_seed} (재현: ?seed=${_seed})`);
+  return _seed;
+}
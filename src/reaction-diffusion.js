@@ -0,0 +1,339 @@
+// reaction-diffusion.js - Gray-Scott 반응-확산 스킨 생성기 (CPU, 순수 함수)
+// - genome의 패턴 계열(patternId) + feed / kill / 확산 계수 유전자로 개체마다 고유한 무늬를 만든다.
+// - boids.js (스킨 텍스처), ga.js (개체별 spotCount / spotSize → 무늬 fitness), tools/batch.js (Node)가 같이 사용한다.
+// - DOM / Three.js / GPU 의존 없음
+
+import { createRandomStream } from "./random.js";
+
+/* =========================
+ * 상수
+ * ========================= */
+
+export const RD_SKIN_SIZE = 64; // 스킨 한 장 해상도 (가로=세로, 경계는 감싸기 → 반복 텍스처로 이어짐)
+export const RD_SKIN_STEPS = 1000; // 시뮬레이션 반복 횟수 (확산 계수가 작아 이 정도면 무늬가 자리 잡는다)
+const RD_THRESHOLD = 0.2; // B 농도가 이 값 이상이면 "무늬(점/줄)"로 본다
+const RD_CACHE_LIMIT = 1024; // 스킨 캐시 최대 항목 수 (한 장 16KB → 최대 16MB, boids.js 텍스처 레이어 최대 256장보다 넉넉히)
+
+// 패턴 계열(patternId)별 기준 Gray-Scott 파라미터
+// - genome의 rdFeed / rdKill / rdDiffA / rdDiffB는 여기에 곱하는 배수 (1.0 = 계열 기본 무늬)
+// - 확산 계수가 작을수록 무늬 간격이 좁아진다 (점 개수 ↑, 크기 ↓)
+export const RD_FAMILY_PARAMS = [
+  { feed: 0.0367, kill: 0.0649, diffA: 0.35, diffB: 0.175 }, // A: 느슨한 점무늬
+  { feed: 0.03, kill: 0.062, diffA: 0.22, diffB: 0.11 }, // B: 조밀한 미세 점무늬
+  { feed: 0.0275, kill: 0.06, diffA: 0.75, diffB: 0.32 }, // C: 큰 덩어리 (diffA × rdDiffA 최대 1.6 = 1.2 → 9점 라플라시안 안정 한계 1.25 안쪽)
+  { feed: 0.0545, kill: 0.062, diffA: 0.25, diffB: 0.125 }, // D: 가는 줄무늬
+  { feed: 0.046, kill: 0.063, diffA: 0.35, diffB: 0.175 }, // E: 점 + 줄 혼합
+];
+
+// 유전자 배수를 스킨에 반영하는 간격 (스킨은 이 격자 위에서만 바뀐다)
+// - 비슷한 개체끼리 같은 스킨 / 측정값 / 텍스처 레이어를 공유해서 캐시 적중이 늘어난다.
+// - kill은 조금만 움직여도 무늬가 달라지므로 더 촘촘하게
+const RD_GENE_STEPS = { rdFeed: 0.05, rdKill: 0.025, rdDiffA: 0.05, rdDiffB: 0.05 };
+
+/* =========================
+ * 시뮬레이터
+ * ========================= */
+
+/**
+ * genome → Gray-Scott 파라미터 (계열 기본값 × 유전자 배수, 배수는 RD_GENE_STEPS 격자로 맞춤)
+ * @param {object} genome
+ * @returns {{family: number, feed: number, kill: number, diffA: number, diffB: number}}
+ */
+export function rdParamsFromGenome(genome) {
+  const family = Math.min(RD_FAMILY_PARAMS.length - 1, Math.max(0, Math.round(genome?.patternId ?? 0)));
+  const base = RD_FAMILY_PARAMS[family];
+  const gene = (name) => {
+    const v = typeof genome?.[name] === "number" ? genome[name] : 1.0;
+    return Math.round(v / RD_GENE_STEPS[name]) * RD_GENE_STEPS[name];
+  };
+  return {
+    family,
+    feed: base.feed * gene("rdFeed"),
+    kill: base.kill * gene("rdKill"),
+    diffA: base.diffA * gene("rdDiffA"),
+    diffB: base.diffB * gene("rdDiffB"),
+  };
+}
+
+/**
+ * Gray-Scott 반응-확산 시뮬레이션 (여러 번에 나눠 진행할 수 있는 작업 객체)
+ * - A는 1, B는 0으로 시작해 계열별 시드 위치에 B 덩어리를 뿌린다. (같은 파라미터 → 항상 같은 무늬)
+ * - 9점 라플라시안, dt = 1, 경계는 감싸기(torus)
+ * - 64×64 × 1000스텝이 브라우저에서 ~110ms라서, boids.js는 프레임마다 조금씩 advance()한다.
+ * @param {object} params - rdParamsFromGenome 결과
+ * @param {object} [opts]
+ * @param {number} [opts.size=RD_SKIN_SIZE]
+ * @param {number} [opts.steps=RD_SKIN_STEPS]
+ * @returns {{advance: (count?: number) => boolean, readonly done: boolean, field: () => Float64Array}}
+ */
+export function createGrayScottJob(params, { size = RD_SKIN_SIZE, steps = RD_SKIN_STEPS } = {}) {
+  const { feed, kill, diffA, diffB } = params;
+  const n = size * size;
+  // Float64: V8에서 Float32 배열보다 읽기/쓰기가 빠르다.
+  let a = new Float64Array(n).fill(1);
+  let b = new Float64Array(n);
+  let na = new Float64Array(n);
+  let nb = new Float64Array(n);
+
+  // 시드: 5×5 B 사각형을 고르게 흩뿌림 (계열마다 배치가 다름)
+  const rng = createRandomStream(0x5eed + (params.family ?? 0));
+  const seeds = Math.max(4, Math.round(n / 160));
+  for (let s = 0; s < seeds; s++) {
+    const cx = rng.int(0, size - 1);
+    const cy = rng.int(0, size - 1);
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        const idx = ((cy + dy + size) % size) * size + ((cx + dx + size) % size);
+        a[idx] = 0.5;
+        b[idx] = 0.25 + rng.random() * 0.25;
+      }
+    }
+  }
+
+  // 감싸기 이웃 좌표 (안쪽 루프에서 나머지 연산 제거)
+  const prev = new Int32Array(size);
+  const next = new Int32Array(size);
+  for (let k = 0; k < size; k++) {
+    prev[k] = (k - 1 + size) % size;
+    next[k] = (k + 1) % size;
+  }
+
+  let stepsDone = 0;
+
+  return {
+    get done() {
+      return stepsDone >= steps;
+    },
+
+    /**
+     * 최대 count 스텝 진행
+     * @param {number} [count] - 생략하면 끝까지
+     * @returns {boolean} 시뮬레이션이 끝났으면 true
+     */
+    advance(count = steps) {
+      const end = Math.min(steps, stepsDone + count);
+      for (; stepsDone < end; stepsDone++) {
+        for (let y = 0; y < size; y++) {
+          const row = y * size;
+          const up = prev[y] * size;
+          const down = next[y] * size;
+          for (let x = 0; x < size; x++) {
+            const left = prev[x];
+            const right = next[x];
+            const i = row + x;
+            const av = a[i];
+            const bv = b[i];
+            const lapA =
+              0.2 * (a[row + left] + a[row + right] + a[up + x] + a[down + x]) +
+              0.05 * (a[up + left] + a[up + right] + a[down + left] + a[down + right]) -
+              av;
+            const lapB =
+              0.2 * (b[row + left] + b[row + right] + b[up + x] + b[down + x]) +
+              0.05 * (b[up + left] + b[up + right] + b[down + left] + b[down + right]) -
+              bv;
+            const abb = av * bv * bv;
+            na[i] = av + diffA * lapA - abb + feed * (1 - av);
+            nb[i] = bv + diffB * lapB + abb - (kill + feed) * bv;
+          }
+        }
+        let t = a;
+        a = na;
+        na = t;
+        t = b;
+        b = nb;
+        nb = t;
+      }
+      return stepsDone >= steps;
+    },
+
+    /** 현재 B 농도 (size × size, 0~1로 자른 복사본) */
+    field() {
+      return b.map((v) => Math.min(1, Math.max(0, v)));
+    },
+  };
+}
+
+/**
+ * Gray-Scott 시뮬레이션을 한 번에 끝까지 돌린다.
+ * @param {object} params - rdParamsFromGenome 결과
+ * @param {object} [opts] - createGrayScottJob과 같음
+ * @returns {Float64Array} B 농도 (size × size, 0~1)
+ */
+export function simulateGrayScott(params, opts) {
+  const job = createGrayScottJob(params, opts);
+  job.advance();
+  return job.field();
+}
+
+/* =========================
+ * 측정 / 텍스처 변환
+ * ========================= */
+
+/**
+ * B 농도장에서 무늬 통계를 잰다. (RD_PATTERN_TABLE의 spotCount / spotSize와 같은 단위)
+ * - spotCount: 임계값 이상인 연결 영역(4-이웃, 감싸기) 개수
+ * - spotSize: 영역 평균 면적의 등가 지름(px)
+ * - coverage: 무늬가 차지하는 면적 비율 (0~1)
+ * @param {Float64Array} field
+ * @param {number} [size=RD_SKIN_SIZE]
+ */
+export function measureRDPattern(field, size = RD_SKIN_SIZE) {
+  const n = size * size;
+  const label = new Int32Array(n).fill(-1);
+  const stack = new Int32Array(n);
+  let spotCount = 0;
+  let covered = 0;
+
+  for (let start = 0; start < n; start++) {
+    if (label[start] >= 0 || field[start] < RD_THRESHOLD) continue;
+    // flood fill
+    let top = 0;
+    stack[top++] = start;
+    label[start] = spotCount;
+    while (top > 0) {
+      const i = stack[--top];
+      covered++;
+      const x = i % size;
+      const y = (i - x) / size;
+      const nbrs = [
+        y * size + ((x + 1) % size),
+        y * size + ((x - 1 + size) % size),
+        ((y + 1) % size) * size + x,
+        ((y - 1 + size) % size) * size + x,
+      ];
+      for (const j of nbrs) {
+        if (label[j] >= 0 || field[j] < RD_THRESHOLD) continue;
+        label[j] = spotCount;
+        stack[top++] = j;
+      }
+    }
+    spotCount++;
+  }
+
+  const meanArea = spotCount > 0 ? covered / spotCount : 0;
+  return {
+    spotCount,
+    spotSize: 2 * Math.sqrt(meanArea / Math.PI),
+    coverage: covered / n,
+  };
+}
+
+/**
+ * B 농도장 → RGBA 픽셀 (무늬는 어둡게, 바탕은 밝게; 색은 셰이더에서 개체 색을 곱한다)
+ * @param {Float64Array} field
+ * @param {Uint8Array|Uint8ClampedArray} [out] - 길이 field.length * 4
+ */
+export function rdFieldToRGBA(field, out = new Uint8Array(field.length * 4)) {
+  for (let i = 0; i < field.length; i++) {
+    const v = Math.round(255 * (1 - 0.75 * Math.min(1, field[i] * 2.5)));
+    out[i * 4 + 0] = v;
+    out[i * 4 + 1] = v;
+    out[i * 4 + 2] = v;
+    out[i * 4 + 3] = 255;
+  }
+  return out;
+}
+
+/* =========================
+ * genome 단위 캐시
+ * ========================= */
+
+// 파라미터 키 → { metrics, pixels } (Map 삽입 순서로 오래된 것부터 버린다)
+const _cache = new Map();
+
+// 계열 기본 파라미터 스킨 (RD_PATTERN_TABLE / 무늬 fitness가 읽는다, LRU에서 버리지 않는다)
+const _familySkins = [];
+
+function cacheKey(params) {
+  return [params.family, params.feed, params.kill, params.diffA, params.diffB]
+    .map((v) => v.toFixed(4))
+    .join("|");
+}
+
+const _familyKeys = RD_FAMILY_PARAMS.map((_, family) => cacheKey(rdParamsFromGenome({ patternId: family })));
+
+function storeSkin(key, params, field) {
+  const entry = { metrics: measureRDPattern(field), pixels: rdFieldToRGBA(field) };
+  _cache.set(key, entry);
+  if (_cache.size > RD_CACHE_LIMIT) _cache.delete(_cache.keys().next().value);
+  if (_familyKeys[params.family] === key) _familySkins[params.family] = entry;
+  return entry;
+}
+
+/**
+ * genome의 스킨 캐시 키 (같은 키 = 같은 스킨)
+ * @param {object} genome
+ * @returns {string}
+ */
+export function rdSkinKey(genome) {
+  return cacheKey(rdParamsFromGenome(genome));
+}
+
+/**
+ * 캐시에 있는 스킨만 꺼낸다. (시뮬레이션하지 않음)
+ * @param {string} key - rdSkinKey 결과
+ * @returns {{metrics: {spotCount: number, spotSize: number, coverage: number}, pixels: Uint8Array}|null}
+ */
+export function getCachedSkin(key) {
+  const entry = _cache.get(key);
+  if (!entry) return null;
+  // 최근 사용 항목을 뒤로
+  _cache.delete(key);
+  _cache.set(key, entry);
+  return entry;
+}
+
+/**
+ * genome 스킨을 나눠서 생성하는 작업 (끝나면 캐시에 들어간다)
+ * @param {object} genome
+ * @returns {{key: string, advance: (count?: number) => boolean, readonly entry: object|null}}
+ */
+export function createGenomeSkinJob(genome) {
+  const params = rdParamsFromGenome(genome);
+  const key = cacheKey(params);
+  const sim = createGrayScottJob(params);
+  let entry = null;
+  return {
+    key,
+    get entry() {
+      return entry;
+    },
+    advance(count) {
+      if (!entry && sim.advance(count)) entry = storeSkin(key, params, sim.field());
+      return entry !== null;
+    },
+  };
+}
+
+/**
+ * genome의 스킨을 생성(또는 캐시에서 꺼내)한다. (한 번에 끝까지, Node / 도구용)
+ * @param {object} genome
+ * @returns {{metrics: {spotCount: number, spotSize: number, coverage: number}, pixels: Uint8Array}}
+ */
+export function generateGenomeSkin(genome) {
+  const cached = getCachedSkin(rdSkinKey(genome));
+  if (cached) return cached;
+  const job = createGenomeSkinJob(genome);
+  job.advance();
+  return job.entry;
+}
+
+/**
+ * genome 무늬 통계 (ga.js 무늬 fitness, 캐시에 없으면 한 번에 시뮬레이션)
+ * @param {object} genome
+ * @returns {{spotCount: number, spotSize: number, coverage: number}}
+ */
+export function measureGenomePattern(genome) {
+  return generateGenomeSkin(genome).metrics;
+}
+
+/**
+ * 계열(patternId) 기본 무늬 통계 (ga.js RD_PATTERN_TABLE / 무늬 fitness)
+ * - 계열당 한 번만 시뮬레이션하고 계속 보관한다. boids.js가 계열 스킨을 먼저 만들어 두면 비용 없음.
+ * @param {number} family
+ * @returns {{spotCount: number, spotSize: number, coverage: number}}
+ */
+export function measureFamilyPattern(family) {
+  const entry = _familySkins[family] ?? generateGenomeSkin({ patternId: family });
+  return entry.metrics;
+}
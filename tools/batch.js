@@ -0,0 +1,326 @@
+#!/usr/bin/env node
+// batch.js - GA / L-System 헤드리스 배치 실행기 (Node)
+// - 브라우저의 10초 세대 창 없이 GeneticAlgorithm을 N세대 돌려 세대별 통계를 JSON/CSV로 저장한다.
+// - survivalRate / mutationRate / fitness 가중치 같은 파라미터를 오프라인에서 빠르게 비교하는 용도.
+// - ga.js / genome.js / random.js / lsystem-grammar.js만 사용 (DOM / Three.js 없음)
+// - 행동 기반 fitness term(trail/social/forage/explore/survival)은 boids가 없으므로 자동으로 제외된다.
+//   (기여도가 항상 0이므로 term_* 열도 만들지 않는다)
+// - 무늬 fitness는 개체 스킨을 Gray-Scott으로 시뮬레이션해서 재므로 (스킨 한 장 ~60ms, 같은 스킨은 캐시)
+//   무작위 초기 population이 있는 처음 몇 세대는 세대당 1~2초 걸린다.
+//
+// 사용 예:
+//   node tools/batch.js --generations 100 --seeds 1,2,3 --out runs/base.csv
+//   node tools/batch.js -g 50 --seed 42 --set survivalRate=0.3 --set mutationRate=0.2 --out runs/a.json
+//   node tools/batch.js -g 30 --seeds 1,2 --weight pattern=0.5 --lsystem 5 --out runs/plants.json
+
+import { writeFileSync, mkdirSync } from "node:fs";
+import { dirname, extname } from "node:path";
+import { parseArgs } from "node:util";
+import { setSeed, normalizeSeed, getRandomStream } from "../src/random.js";
+import { GeneticAlgorithm, RD_PATTERN_TABLE } from "../src/ga.js";
+import { IslandModel } from "../src/islands.js";
+import { summarizePopulation } from "../src/genome.js";
+import { deriveLString, summarizeLString } from "../src/lsystem-grammar.js";
+
+// boids 행동 통계 없이는 항상 null을 돌려주는 term (헤드리스에서는 평가에서 빠진다)
+const HEADLESS_EXCLUDED_TERMS = ["trail", "social", "forage", "explore", "survival"];
+
+const HELP = `사용법: node tools/batch.js [옵션]
+
+  -g, --generations <n>   세대 수 (기본 50)
+      --seeds <a,b,...>   시드 목록 (쉼표 구분, 문자열 시드 허용)
+      --seed <s>          시드 하나 (--seeds와 함께 쓰면 합쳐짐)
+  -p, --population <n>    population 크기 (기본 40, 브라우저 boids 수와 동일)
+      --set <key=value>   GeneticAlgorithm 옵션 (여러 번 사용 가능, 값은 JSON으로 해석)
+      --terms <a,b,...>   활성 fitness term 목록 (기본: 전체)
+      --weight <name=w>   fitness term 가중치 (여러 번 사용 가능)
+      --islands <n>       island model (n개 island, 기본 0 = 사용 안 함)
+      --migration-interval <n>  이주 주기 (세대, 기본 5)
+      --migration-size <n>      island당 이주 엘리트 수 (기본 1)
+      --lsystem <n>       시드마다 L-System 문자열 n개 도출 (기본 0)
+      --lsystem-gen <n>   L-System 재작성 세대 수 (기본 5)
+      --branch-prob <p>   L-System 분기 확률 (기본 0.9)
+      --heat <v>          환경 열 수준 0~1 (GA fitness 범위 + L-System, 기본 0.3)
+      --noise <v>         환경 전류 잡음 0~1 (GA fitness 범위 + L-System, 기본 0.2)
+      --idle <n>          환경 정적 사이클 0~20 (GA fitness 범위, 기본 0)
+  -o, --out <file>        결과 파일 (.json 또는 .csv, 없으면 표준 출력에 요약만)
+  -q, --quiet             진행 로그 생략
+  -h, --help              도움말
+`;
+
+/* =========================
+ * 인자 파싱
+ * ========================= */
+
+function parseCli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      generations: { type: "string", short: "g", default: "50" },
+      seeds: { type: "string" },
+      seed: { type: "string" },
+      population: { type: "string", short: "p", default: "40" },
+      set: { type: "string", multiple: true, default: [] },
+      terms: { type: "string" },
+      weight: { type: "string", multiple: true, default: [] },
+      islands: { type: "string", default: "0" },
+      "migration-interval": { type: "string", default: "5" },
+      "migration-size": { type: "string", default: "1" },
+      lsystem: { type: "string", default: "0" },
+      "lsystem-gen": { type: "string", default: "5" },
+      "branch-prob": { type: "string", default: "0.9" },
+      heat: { type: "string", default: "0.3" },
+      noise: { type: "string", default: "0.2" },
+      idle: { type: "string", default: "0" },
+      out: { type: "string", short: "o" },
+      quiet: { type: "boolean", short: "q", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const seeds = [];
+  for (const s of [values.seeds, values.seed]) {
+    if (!s) continue;
+    for (const part of s.split(",")) {
+      const seed = normalizeSeed(part);
+      if (seed != null) seeds.push(seed);
+    }
+  }
+  if (seeds.length === 0) seeds.push(1);
+
+  return {
+    help: values.help,
+    generations: toInt(values.generations, "generations"),
+    seeds,
+    population: toInt(values.population, "population"),
+    gaOptions: parsePairs(values.set, "--set", parseValue),
+    terms: values.terms ? values.terms.split(",").map((t) => t.trim()).filter(Boolean) : null,
+    weights: parsePairs(values.weight, "--weight", (v) => toNumber(v, "--weight")),
+    islands: {
+      count: toInt(values.islands, "islands"),
+      migrationInterval: toInt(values["migration-interval"], "migration-interval"),
+      migrationSize: toInt(values["migration-size"], "migration-size"),
+    },
+    lsystem: {
+      count: toInt(values.lsystem, "lsystem"),
+      gen: toInt(values["lsystem-gen"], "lsystem-gen"),
+      branchProb: toNumber(values["branch-prob"], "branch-prob"),
+      heatLevel: toNumber(values.heat, "heat"),
+      electricNoise: toNumber(values.noise, "noise"),
+    },
+    environment: {
+      heatLevel: toNumber(values.heat, "heat"),
+      electricNoise: toNumber(values.noise, "noise"),
+      idleCycles: toInt(values.idle, "idle"),
+    },
+    out: values.out ?? null,
+    quiet: values.quiet,
+  };
+}
+
+function toNumber(v, name) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) throw new Error(`[Batch] 숫자가 아닙니다: ${name}=${v}`);
+  return n;
+}
+
+function toInt(v, name) {
+  const n = toNumber(v, name);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`[Batch] 0 이상의 정수가 필요합니다: ${name}=${v}`);
+  return n;
+}
+
+// "true" / "0.3" / "\"pareto\"" 는 JSON으로, 그 외는 문자열 그대로
+function parseValue(v) {
+  try {
+    return JSON.parse(v);
+  } catch {
+    return v;
+  }
+}
+
+function parsePairs(list, flag, convert) {
+  const out = {};
+  for (const item of list) {
+    const eq = item.indexOf("=");
+    if (eq <= 0) throw new Error(`[Batch] ${flag}는 key=value 형식이어야 합니다: ${item}`);
+    out[item.slice(0, eq).trim()] = convert(item.slice(eq + 1).trim());
+  }
+  return out;
+}
+
+/* =========================
+ * 실행
+ * ========================= */
+
+/**
+ * 시드 하나로 GA를 N세대 실행
+ * - 브라우저와 같은 "ga" 스트림 / slotPatternIds(i % 5)를 써서 ?seed= 실행과 같은 0세대에서 시작한다.
+ */
+function runGA(seed, cfg) {
+  setSeed(seed);
+
+  const N = cfg.population;
+  const slotPatternIds = Array.from({ length: N }, (_, i) => i % RD_PATTERN_TABLE.length);
+  const ga = new GeneticAlgorithm({
+    populationSize: N,
+    survivalRate: 0.4,
+    mutationRate: 0.15,
+    crossoverRate: 1.0,
+    slotPatternIds,
+    adaptiveMutation: false,
+    ...(cfg.terms ? { fitnessTerms: cfg.terms } : {}),
+    ...cfg.gaOptions,
+  });
+  for (const [name, w] of Object.entries(cfg.weights)) ga.setFitnessWeight(name, w);
+  ga.setEnvironment(cfg.environment);
+  ga.initPopulation();
+
+  // island model이면 IslandModel이 세대를 진행하고 ga는 전체 population을 들고 있는 host
+  const evolver = cfg.islands.count > 1
+    ? new IslandModel(ga, {
+        islandCount: cfg.islands.count,
+        migrationInterval: cfg.islands.migrationInterval,
+        migrationSize: cfg.islands.migrationSize,
+      })
+    : ga;
+
+  const rows = [];
+  for (let gen = 0; gen < cfg.generations; gen++) {
+    const info = evolver.evaluatePopulation();
+    const fitness = info.fitness;
+    const summary = summarizePopulation(ga.getPopulation(), ga.schema);
+    const row = {
+      seed,
+      generation: ga.generation,
+      bestFitness: Math.max(...fitness),
+      avgFitness: fitness.reduce((a, b) => a + b, 0) / fitness.length,
+      survivors: info.survivors.length,
+      diversity: info.diversity?.overall ?? null,
+      mutationRate: info.mutation?.rate ?? ga.mutationRate,
+    };
+    (summary.counts.patternId ?? []).forEach((c, k) => {
+      row[`P${k}`] = c;
+    });
+    for (const a of summary.averages) row[`avg_${a.name}`] = a.value;
+    for (const [name, v] of Object.entries(info.termContributions ?? {})) {
+      if (!HEADLESS_EXCLUDED_TERMS.includes(name)) row[`term_${name}`] = v;
+    }
+    for (const isl of info.islands ?? []) {
+      row[`island${isl.id}_best`] = isl.bestFitness;
+      row[`island${isl.id}_pattern`] = isl.dominantPattern;
+    }
+    rows.push(row);
+
+    evolver.nextGeneration();
+  }
+  return rows;
+}
+
+/**
+ * 시드 하나로 L-System 문자열 n개 도출 (브라우저와 같은 "lsystem" 스트림)
+ */
+function runLSystem(seed, cfg) {
+  setSeed(seed);
+  const rng = getRandomStream("lsystem");
+  const rows = [];
+  for (let i = 0; i < cfg.count; i++) {
+    const lstring = deriveLString("F", cfg.gen, {
+      rng,
+      branchProb: cfg.branchProb,
+      heatLevel: cfg.heatLevel,
+      electricNoise: cfg.electricNoise,
+    });
+    rows.push({ seed, index: i, ...summarizeLString(lstring) });
+  }
+  return rows;
+}
+
+/* =========================
+ * 출력
+ * ========================= */
+
+function toCSV(rows) {
+  if (rows.length === 0) return "";
+  const cols = [];
+  for (const r of rows) for (const k of Object.keys(r)) if (!cols.includes(k)) cols.push(k);
+  const fmt = (v) => (v == null ? "" : typeof v === "number" ? String(+v.toFixed(6)) : String(v));
+  const lines = [cols.join(",")];
+  for (const r of rows) lines.push(cols.map((c) => fmt(r[c])).join(","));
+  return lines.join("\n") + "\n";
+}
+
+function writeOut(path, text) {
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path, text);
+}
+
+function main() {
+  const cfg = parseCli(process.argv.slice(2));
+  if (cfg.help) {
+    process.stdout.write(HELP);
+    return;
+  }
+
+  const log = cfg.quiet ? () => {} : (msg) => console.error(msg);
+  const gaRows = [];
+  const lsystemRows = [];
+  const summaries = [];
+
+  for (const seed of cfg.seeds) {
+    const t0 = Date.now();
+    const rows = runGA(seed, cfg);
+    gaRows.push(...rows);
+    const last = rows[rows.length - 1];
+    summaries.push({
+      seed,
+      generations: rows.length,
+      bestFitness: last?.bestFitness ?? null,
+      avgFitness: last?.avgFitness ?? null,
+      diversity: last?.diversity ?? null,
+    });
+    if (cfg.lsystem.count > 0) lsystemRows.push(...runLSystem(seed, cfg.lsystem));
+    log(
+      `[Batch] seed=${seed} gen=${rows.length} best=${last?.bestFitness.toFixed(3) ?? "–"} ` +
+        `avg=${last?.avgFitness.toFixed(3) ?? "–"} (${Date.now() - t0} ms)`
+    );
+  }
+
+  if (!cfg.out) {
+    process.stdout.write(JSON.stringify(summaries, null, 2) + "\n");
+    return;
+  }
+
+  if (extname(cfg.out).toLowerCase() === ".csv") {
+    writeOut(cfg.out, toCSV(gaRows));
+    if (lsystemRows.length > 0) {
+      writeOut(cfg.out.replace(/\.csv$/i, ".lsystem.csv"), toCSV(lsystemRows));
+    }
+  } else {
+    const result = {
+      options: {
+        generations: cfg.generations,
+        seeds: cfg.seeds,
+        population: cfg.population,
+        ga: cfg.gaOptions,
+        terms: cfg.terms,
+        weights: cfg.weights,
+        islands: cfg.islands,
+        environment: cfg.environment,
+        lsystem: cfg.lsystem,
+      },
+      summaries,
+      generations: gaRows,
+      lsystem: lsystemRows,
+    };
+    writeOut(cfg.out, JSON.stringify(result, null, 2) + "\n");
+  }
+  log(`[Batch] 저장 완료: ${cfg.out}`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message ?? err);
+  process.exitCode = 1;
+}